@@ -2,9 +2,16 @@
  * Addon Stremio - Subtitles FR (Multi-sources)
  *
  * Point d'entrée de l'addon Stremio pour récupérer
- * des sous-titres français depuis plusieurs sources:
+ * des sous-titres français depuis plusieurs sources
+ * (voir le registre lib/providers):
  * - OpenSubtitles (API key requise, proxy pour lazy download)
- * - SubDL (API key requise)
+ * - SubDL (API key requise, proxy pour extraire les archives / packs de saison)
+ * - YIFY (films uniquement, sans clé, proxy pour extraire les archives)
+ * - Addic7ed (séries uniquement, sans clé, proxy pour le Referer)
+ * - Podnapisi (sans clé, recherche par titre, proxy pour extraire les archives)
+ *
+ * Chaque utilisateur peut personnaliser l'addon via /configure
+ * (langues, sources, préférences, clés API personnelles).
  *
  * @module index
  */
@@ -13,12 +20,26 @@ require('dotenv').config();
 
 const express = require('express');
 const { addonBuilder, getRouter } = require('stremio-addon-sdk');
-const OpenSubtitlesClient = require('./lib/opensubtitles');
-const { RateLimitError } = require('./lib/opensubtitles');
-const SubDLClient = require('./lib/subdl');
+const { RateLimitError, QuotaExceededError } = require('./lib/errors');
+const { PROVIDERS, ProviderRegistry, getProviderDefinition } = require('./lib/providers');
 const CinemetaClient = require('./lib/cinemeta');
+const { ANIME_ID_PREFIXES, isAnimeId, AnimeMapping } = require('./lib/anime-mapping');
+const { TMDB_ID_PREFIX, isTmdbId, TmdbMapping } = require('./lib/tmdb-mapping');
 const SubtitleChecker = require('./lib/subtitle-checker');
 const PersistentCache = require('./lib/cache');
+const SubtitlesCache = require('./lib/subtitles-cache');
+const SubtitleFileStore = require('./lib/file-store');
+const { TRANSLATED_POLICIES, createDefaultConfig, parseConfig, getApiKeys, configCacheKey } = require('./lib/config');
+const { renderConfigurePage } = require('./lib/configure-page');
+const { LANGUAGES, sortByLanguagePriority, formatLanguageList } = require('./lib/languages');
+const { getContentType } = require('./lib/archive');
+const { toUtf8 } = require('./lib/encoding');
+const { OUTPUT_FORMATS, detectFormat, detectFps, isFpsMismatch, parseSubtitle, convertSubtitle } = require('./lib/subtitle-formats');
+const { alignCues } = require('./lib/alignment');
+const { contentFingerprint, deduplicateSubtitles } = require('./lib/dedup');
+const { SUBTITLE_MODES } = require('./lib/subtitle-modes');
+const { parseReleaseName } = require('./lib/release-parser');
+const { loadMatchWeights, matchEpisode, calculateMatchScore } = require('./lib/match-score');
 
 // Configuration des variables d'environnement
 const PORT = parseInt(process.env.PORT, 10) || 7000;
@@ -26,182 +47,140 @@ const ADDON_URL_CONFIGURED = !!process.env.ADDON_URL;
 let addonUrl = process.env.ADDON_URL || `http://localhost:${PORT}`;
 const OS_API_KEY = process.env.OPENSUBTITLES_API_KEY;
 const OS_USER_AGENT = process.env.OPENSUBTITLES_USER_AGENT || 'stremio-subtitles-fr v1.0';
+const OS_USERNAME = process.env.OPENSUBTITLES_USERNAME;
+const OS_PASSWORD = process.env.OPENSUBTITLES_PASSWORD;
 const SUBDL_API_KEY = process.env.SUBDL_API_KEY;
+const ENABLE_YIFY = process.env.ENABLE_YIFY !== 'false';
+const ENABLE_ADDIC7ED = process.env.ENABLE_ADDIC7ED !== 'false';
+const ENABLE_PODNAPISI = process.env.ENABLE_PODNAPISI !== 'false';
 const ENABLE_META = process.env.ENABLE_META !== 'false';
+const ENABLE_ANIME = process.env.ENABLE_ANIME !== 'false';
+const ANIME_MAPPING_URL = process.env.ANIME_MAPPING_URL;
+const TMDB_API_KEY = process.env.TMDB_API_KEY;
+const DEBUG_TOKEN = process.env.DEBUG_TOKEN;
 const BADGE_IN_TITLE = process.env.BADGE_IN_TITLE === 'true';
 const CACHE_TTL_DAYS = parseInt(process.env.CACHE_TTL_DAYS, 10) || 7;
 const SUBTITLES_CACHE_TTL_HOURS = parseInt(process.env.SUBTITLES_CACHE_TTL_HOURS, 10) || 24;
+const SUBTITLES_CACHE_MAX_ENTRIES = parseInt(process.env.SUBTITLES_CACHE_MAX_ENTRIES, 10) || 5000;
+const SUBTITLES_CACHE_MAX_MB = parseInt(process.env.SUBTITLES_CACHE_MAX_MB, 10) || 50;
+const SUBTITLE_STORE_MAX_MB = parseInt(process.env.SUBTITLE_STORE_MAX_MB, 10) || 100;
+const MATCH_WEIGHTS = loadMatchWeights(process.env.MATCH_WEIGHTS);
+
+/** Décalages (ms) proposés en variantes du meilleur résultat */
+const SHIFT_VARIANTS = [-2000, -1000, 1000, 2000];
+
+/** Bornes des réglages de synchro acceptés par le proxy (?shift=, ?stretch=) */
+const MAX_SHIFT = 10 * 60 * 1000;
+const MIN_STRETCH = 0.5;
+const MAX_STRETCH = 2;
+
+/** Référence d'alignement transmise au proxy (?syncRef=source:fileId) */
+const SYNC_REF_PATTERN = /^([a-z0-9]+):([\w-]+)$/i;
+
+/** Nombre maximum de résultats d'alignement gardés en mémoire */
+const MAX_SYNC_CACHE = 500;
+
+// Cache des recherches de sous-titres (TTL configurable, défaut 24h), persistant et borné (LRU)
+const subtitlesCache = new SubtitlesCache({
+    ttl: SUBTITLES_CACHE_TTL_HOURS * 60 * 60 * 1000,
+    maxEntries: SUBTITLES_CACHE_MAX_ENTRIES,
+    maxBytes: SUBTITLES_CACHE_MAX_MB * 1024 * 1024
+});
+console.log(`[Addon] Cache sous-titres activé (TTL: ${SUBTITLES_CACHE_TTL_HOURS}h, max ${SUBTITLES_CACHE_MAX_ENTRIES} entrées / ${SUBTITLES_CACHE_MAX_MB} Mo)`);
+
+// Fichiers téléchargés conservés sur disque (économise le quota OpenSubtitles)
+const fileStore = new SubtitleFileStore({ maxBytes: SUBTITLE_STORE_MAX_MB * 1024 * 1024 });
+
+// Configuration par défaut (serveur), complétée par la config de chaque utilisateur
+const DEFAULT_CONFIG = createDefaultConfig({ badgeInTitle: BADGE_IN_TITLE });
+
+// Client Cinemeta (métadonnées, résolution des titres pour les sources sans ID IMDB)
+const cinemetaClient = new CinemetaClient();
+
+// Registre des sources (clients créés pour les clés serveur)
+const registry = new ProviderRegistry({
+    apiKeys: {
+        opensubtitles: OS_API_KEY,
+        subdl: SUBDL_API_KEY
+    },
+    enabled: {
+        yify: ENABLE_YIFY,
+        addic7ed: ENABLE_ADDIC7ED,
+        podnapisi: ENABLE_PODNAPISI
+    },
+    credentials: {
+        opensubtitles: { username: OS_USERNAME, password: OS_PASSWORD }
+    },
+    userAgent: OS_USER_AGENT,
+    cinemeta: cinemetaClient
+});
 
-/**
- * Cache en mémoire pour les recherches de sous-titres
- * Évite de refaire les mêmes appels API pour un même contenu
- */
-class SubtitlesCache {
-    constructor(ttlMs) {
-        this.cache = new Map();
-        this.ttl = ttlMs;
-        this.hits = 0;
-        this.misses = 0;
-
-        // Nettoyage périodique toutes les 30 minutes
-        setInterval(() => this.cleanup(), 30 * 60 * 1000);
-    }
-
-    /**
-     * Génère une clé de cache unique pour une requête
-     */
-    generateKey(type, id) {
-        return `${type}:${id}`;
-    }
-
-    /**
-     * Récupère les sous-titres du cache
-     */
-    get(type, id) {
-        const key = this.generateKey(type, id);
-        const item = this.cache.get(key);
-
-        if (!item) {
-            this.misses++;
-            return null;
-        }
-
-        if (Date.now() > item.expiry) {
-            this.cache.delete(key);
-            this.misses++;
-            return null;
-        }
-
-        this.hits++;
-        return item.subtitles;
-    }
-
-    /**
-     * Stocke les sous-titres dans le cache
-     */
-    set(type, id, subtitles) {
-        const key = this.generateKey(type, id);
-        this.cache.set(key, {
-            subtitles,
-            expiry: Date.now() + this.ttl,
-            timestamp: Date.now()
-        });
-    }
-
-    /**
-     * Nettoie les entrées expirées
-     */
-    cleanup() {
-        const now = Date.now();
-        let cleaned = 0;
-        for (const [key, item] of this.cache.entries()) {
-            if (now > item.expiry) {
-                this.cache.delete(key);
-                cleaned++;
-            }
-        }
-        if (cleaned > 0) {
-            console.log(`[SubtitlesCache] Nettoyage: ${cleaned} entrée(s) expirée(s) supprimée(s)`);
-        }
-    }
-
-    /**
-     * Vide le cache
-     */
-    clear() {
-        this.cache.clear();
-        this.hits = 0;
-        this.misses = 0;
-    }
+// Liste des sources actives côté serveur
+const sources = registry.getServerDefinitions().map(entry => entry.name);
 
-    /**
-     * Retourne les statistiques du cache
-     */
-    stats() {
-        return {
-            entries: this.cache.size,
-            hits: this.hits,
-            misses: this.misses,
-            hitRate: this.hits + this.misses > 0
-                ? ((this.hits / (this.hits + this.misses)) * 100).toFixed(1) + '%'
-                : 'N/A',
-            ttlHours: this.ttl / (60 * 60 * 1000)
-        };
-    }
+if (sources.length === 0) {
+    console.warn('[Addon] ⚠️  Aucune source active côté serveur');
+    console.warn('[Addon] Les utilisateurs devront fournir leurs propres clés via /configure');
 }
 
-// Cache des recherches de sous-titres (TTL configurable, défaut 24h)
-const subtitlesCache = new SubtitlesCache(SUBTITLES_CACHE_TTL_HOURS * 60 * 60 * 1000);
-console.log(`[Addon] Cache sous-titres activé (TTL: ${SUBTITLES_CACHE_TTL_HOURS}h)`);
-
-// Initialisation des clients
-let osClient = null;
-let subdlClient = null;
-
-// Liste des sources actives
-const sources = [];
-
-if (OS_API_KEY && OS_API_KEY !== 'your_api_key_here') {
-    osClient = new OpenSubtitlesClient(OS_API_KEY, OS_USER_AGENT);
-    sources.push('OpenSubtitles');
-    console.log('[Addon] Source activée: OpenSubtitles (avec proxy)');
-}
+// Correspondance des IDs anime (kitsu:, mal:...) vers IMDB, rafraîchie périodiquement
+let animeMapping = null;
 
-if (SUBDL_API_KEY && SUBDL_API_KEY !== 'your_api_key_here') {
-    subdlClient = new SubDLClient(SUBDL_API_KEY);
-    sources.push('SubDL');
-    console.log('[Addon] Source activée: SubDL');
+if (ENABLE_ANIME) {
+    animeMapping = new AnimeMapping({ url: ANIME_MAPPING_URL });
+    animeMapping.start();
 }
 
-if (sources.length === 0) {
-    console.error('[Addon] Erreur: Aucune source configurée!');
-    console.error('[Addon] Configurez OPENSUBTITLES_API_KEY ou SUBDL_API_KEY dans .env');
-    process.exit(1);
-}
+// Correspondance des IDs TMDB vers IMDB (OpenSubtitles et SubDL utilisent directement l'ID TMDB)
+const tmdbMapping = new TmdbMapping({ apiKey: TMDB_API_KEY });
 
 // Initialisation des clients pour la fonctionnalité meta
-let cinemetaClient = null;
 let subtitleChecker = null;
 let metaCache = null;
 
-// La fonctionnalité meta nécessite au moins une source configurée
-const hasMetaSource = OS_API_KEY || SUBDL_API_KEY;
-
-if (ENABLE_META && hasMetaSource) {
-    cinemetaClient = new CinemetaClient();
-    subtitleChecker = new SubtitleChecker({
-        osApiKey: OS_API_KEY,
-        osUserAgent: OS_USER_AGENT,
-        subdlApiKey: SUBDL_API_KEY
-    });
+if (ENABLE_META) {
+    subtitleChecker = new SubtitleChecker();
     metaCache = new PersistentCache({
         ttl: CACHE_TTL_DAYS * 24 * 60 * 60 * 1000
     });
     console.log('[Addon] Fonctionnalité META activée (affichage dispo sous-titres)');
-} else if (ENABLE_META && !hasMetaSource) {
-    console.log('[Addon] Fonctionnalité META désactivée (aucune source configurée)');
 }
 
 /**
  * Manifest de l'addon Stremio
  */
-const resources = ['subtitles'];
-if (ENABLE_META && hasMetaSource) {
-    resources.unshift('meta'); // meta en premier pour priorité
+const subtitlesIdPrefixes = ['tt', TMDB_ID_PREFIX, ...(animeMapping ? ANIME_ID_PREFIXES : [])];
+const resources = [{ name: 'subtitles', types: ['movie', 'series'], idPrefixes: subtitlesIdPrefixes }];
+if (ENABLE_META) {
+    // meta en premier pour priorité (les fiches viennent de Cinemeta : IDs TMDB seulement s'ils sont convertibles en IMDB)
+    resources.unshift({ name: 'meta', types: ['movie', 'series'], idPrefixes: TMDB_API_KEY ? ['tt', TMDB_ID_PREFIX] : ['tt'] });
 }
 
 const manifest = {
     id: 'community.subtitles.fr',
     version: '1.7.0',
     name: 'Subtitles FR',
-    description: `Sous-titres français (${sources.join(' + ')})${ENABLE_META && hasMetaSource ? ' + Info dispo' : ''}`,
+    description: `Sous-titres français (${sources.join(' + ') || 'clés personnelles'})${ENABLE_META ? ' + Info dispo' : ''} - configurable`,
     logo: 'https://www.opensubtitles.org/favicon.ico',
     catalogs: [],
     resources: resources,
     types: ['movie', 'series'],
-    idPrefixes: ['tt'],
+    idPrefixes: subtitlesIdPrefixes,
+    // Déclaré pour que le SDK accepte les routes /:config/... (la page /configure est servie par l'addon)
+    config: [
+        { key: 'languages', type: 'text', title: 'Langues (ex: fr,en)', default: DEFAULT_CONFIG.languages.join(',') },
+        { key: 'sources', type: 'text', title: `Sources (ex: ${DEFAULT_CONFIG.sources.join(',')})`, default: DEFAULT_CONFIG.sources.join(',') },
+        { key: 'subtitleMode', type: 'select', title: 'Malentendants (HI) et sous-titres forcés', options: SUBTITLE_MODES, default: DEFAULT_CONFIG.subtitleMode },
+        { key: 'translatedPolicy', type: 'select', title: 'Traductions automatiques / IA', options: TRANSLATED_POLICIES, default: DEFAULT_CONFIG.translatedPolicy },
+        { key: 'badge', type: 'select', title: 'Badge de disponibilité', options: ['none', 'releaseInfo', 'title'], default: DEFAULT_CONFIG.badge },
+        ...PROVIDERS.filter(entry => entry.apiKeyConfig).map(entry => ({
+            key: entry.apiKeyConfig,
+            type: 'password',
+            title: `Clé API ${entry.name} (optionnel)`
+        }))
+    ],
     behaviorHints: {
-        configurable: false,
+        configurable: true,
         configurationRequired: false
     }
 };
@@ -214,9 +193,10 @@ const builder = new addonBuilder(manifest);
  */
 builder.defineSubtitlesHandler(async (args) => {
     const { type, id, extra } = args;
+    const config = parseConfig(args.config, DEFAULT_CONFIG);
 
     console.log(`\n[Addon] === Nouvelle requête sous-titres ===`);
-    console.log(`[Addon] Type: ${type}, ID: ${id}`);
+    console.log(`[Addon] Type: ${type}, ID: ${id}, Langues: ${config.languages.join(',')}`);
 
     // Extraction des infos de fichier depuis extra (Stremio les fournit)
     const videoHash = extra?.videoHash || null;
@@ -228,90 +208,451 @@ builder.defineSubtitlesHandler(async (args) => {
     }
 
     try {
-        const parsed = parseId(id, type, extra || {});
+        const parsed = await resolveTmdbId(parseId(id, type, extra || {}));
 
-        if (!parsed.imdbId) {
+        if (!parsed.imdbId && !parsed.tmdbId) {
             console.log('[Addon] ID IMDB invalide');
             return { subtitles: [] };
         }
 
-        // Génère une clé de cache unique (sans les infos de fichier pour réutiliser le cache)
-        const cacheKey = id;
+        const allSubtitles = await findSubtitles(type, id, parsed, config);
 
-        // Vérifie le cache d'abord
-        const cachedSubtitles = subtitlesCache.get(type, cacheKey);
-        if (cachedSubtitles !== null) {
-            console.log(`[Addon] Cache HIT - ${cachedSubtitles.length} sous-titre(s)`);
+        if (allSubtitles.length === 0) {
+            console.log('[Addon] Aucun sous-titre trouvé sur aucune source');
+            return { subtitles: [] };
+        }
 
-            // Si on a des infos de fichier, on retrie les résultats cachés
-            if (filename || videoHash) {
-                const sortedSubtitles = sortSubtitlesByMatch(cachedSubtitles, parsed);
-                return { subtitles: sortedSubtitles };
-            }
+        const sortedSubtitles = finalizeSubtitles(allSubtitles, parsed, config);
 
-            return { subtitles: cachedSubtitles };
+        console.log(`[Addon] Total: ${sortedSubtitles.length} sous-titre(s) combinés`);
+        return { subtitles: sortedSubtitles };
+
+    } catch (error) {
+        console.error('[Addon] Erreur handler sous-titres:', error.message);
+        return { subtitles: [] };
+    }
+});
+
+/**
+ * Récupère les sous-titres de toutes les sources, depuis le cache si possible
+ * La clé de cache contient le hash du fichier (les matchs par hash et les références d'alignement
+ * ne valent que pour ce fichier), pas son nom : les résultats sont retriés à chaque requête.
+ *
+ * @param {string} type - Type de contenu (movie ou series)
+ * @param {string} id - ID Stremio
+ * @param {Object} parsed - Infos parsées (parseId)
+ * @param {Object} config - Configuration utilisateur normalisée
+ * @returns {Promise<Array>} Sous-titres de toutes les sources (non triés)
+ */
+async function findSubtitles(type, id, parsed, config) {
+    const cacheKey = `${id}|${parsed.videoHash || ''}|${configCacheKey(config)}`;
+
+    // Vérifie le cache d'abord
+    const cachedSubtitles = subtitlesCache.get(type, cacheKey);
+    if (cachedSubtitles !== null) {
+        console.log(`[Addon] Cache HIT - ${cachedSubtitles.length} sous-titre(s)`);
+        return withProxyBase(cachedSubtitles, getProxyBaseUrl(config));
+    }
+
+    console.log(`[Addon] Cache MISS - Recherche sur les APIs...`);
+    console.log(`[Addon] IMDB ID: ${parsed.imdbId}${parsed.tmdbId ? `, TMDB ID: ${parsed.tmdbId}` : ''}`);
+
+    // Recherche en parallèle sur toutes les sources du registre
+    // Sans ID IMDB (ID TMDB non converti), seules les sources acceptant l'ID TMDB sont interrogées
+    const providers = registry.getProviders(config, type)
+        .filter(({ entry }) => parsed.imdbId || entry.tmdbIds);
+    const results = await Promise.all(providers.map(provider => searchProvider(provider, parsed, config)));
+    const allSubtitles = results.flat();
+
+    // Conversion TMDB en échec temporaire : sources IMDB sautées, résultats partiels non mis en cache
+    if (parsed.incomplete) {
+        console.log('[Addon] Résultats partiels (ID TMDB non converti), non mis en cache');
+        return allSubtitles;
+    }
+
+    // Stocke dans le cache (même si vide, pour éviter de refaire la recherche)
+    subtitlesCache.set(type, cacheKey, withoutProxyBase(allSubtitles, getProxyBaseUrl(config)));
+    return allSubtitles;
+}
+
+/**
+ * Retire le début des URLs du proxy avant mise en cache (/proxy/...)
+ * Il contient l'URL de l'addon et les clés API personnelles : le cache, sauvegardé sur disque,
+ * n'en conserve aucune, elles sont remises à la lecture (withProxyBase).
+ *
+ * @param {Array} subtitles - Sous-titres formatés
+ * @param {string} proxyBaseUrl - Base des URLs du proxy (getProxyBaseUrl)
+ * @returns {Array} Sous-titres avec des URLs de proxy relatives
+ */
+function withoutProxyBase(subtitles, proxyBaseUrl) {
+    return subtitles.map(sub => sub.url.startsWith(`${proxyBaseUrl}/proxy/`)
+        ? { ...sub, url: sub.url.slice(proxyBaseUrl.length) }
+        : sub);
+}
+
+/**
+ * Reconstruit les URLs du proxy d'une entrée du cache pour la configuration courante
+ *
+ * @param {Array} subtitles - Sous-titres mis en cache (withoutProxyBase)
+ * @param {string} proxyBaseUrl - Base des URLs du proxy (getProxyBaseUrl)
+ * @returns {Array} Sous-titres avec des URLs absolues
+ */
+function withProxyBase(subtitles, proxyBaseUrl) {
+    return subtitles.map(sub => sub.url.startsWith('/') ? { ...sub, url: proxyBaseUrl + sub.url } : sub);
+}
+
+/**
+ * Ordonne les sous-titres (propriétés internes conservées, voir finalizeSubtitles)
+ * Retrait des autres épisodes (séries), fusion des doublons entre sources, tri par score de correspondance si on a des infos de fichier, puis par ordre
+ * de priorité des langues (le tri est stable), traductions automatiques selon la préférence,
+ * sources au quota épuisé en dernier,
+ * puis variantes décalées du meilleur résultat et variantes synchronisées automatiquement.
+ *
+ * @param {Array} subtitles - Sous-titres de toutes les sources
+ * @param {Object} parsed - Infos parsées (incluant filename, videoHash)
+ * @param {Object} config - Configuration utilisateur normalisée
+ * @returns {Array} Sous-titres ordonnés
+ */
+function rankSubtitles(subtitles, parsed, config) {
+    const candidates = filterEpisodes(subtitles, parsed);
+
+    // Les résultats par hash sont synchronisés : références pour l'alignement automatique
+    const references = candidates.filter(sub => sub._hashMatch);
+    const displayed = deduplicate(candidates.filter(sub => !sub._reference), config);
+
+    const sorted = demoteExhaustedSources(
+        applyTranslatedPolicy(
+            sortByLanguagePriority(sortSubtitlesByMatch(displayed, parsed, config.subtitleMode), config.languages),
+            config.translatedPolicy
+        ),
+        config
+    );
+    return addSyncVariants(addShiftVariants(sorted), references);
+}
+
+/**
+ * Prépare la liste renvoyée à Stremio (rankSubtitles, sans les propriétés internes)
+ *
+ * @param {Array} subtitles - Sous-titres de toutes les sources
+ * @param {Object} parsed - Infos parsées (incluant filename, videoHash)
+ * @param {Object} config - Configuration utilisateur normalisée
+ * @returns {Array} Sous-titres ordonnés
+ */
+function finalizeSubtitles(subtitles, parsed, config) {
+    return rankSubtitles(subtitles, parsed, config).map(stripInternalFields);
+}
+
+/**
+ * Séries : retire les sous-titres d'un autre épisode et signale les packs de saison
+ * Les sources renvoient parfois un autre épisode (hash OpenSubtitles, résultats SubDL) :
+ * la saison et les épisodes de chaque release sont comparés à l'épisode demandé.
+ * Les packs de la bonne saison sont conservés (le proxy en extrait l'épisode) et étiquetés.
+ *
+ * @param {Array} subtitles - Sous-titres de toutes les sources
+ * @param {Object} parsed - Infos parsées (season, episode, absoluteEpisode)
+ * @returns {Array} Sous-titres de l'épisode demandé
+ */
+function filterEpisodes(subtitles, parsed) {
+    if (parsed.type !== 'series' || ((!parsed.season || !parsed.episode) && !parsed.absoluteEpisode)) {
+        return subtitles;
+    }
+
+    const kept = [];
+    let dropped = 0;
+
+    for (const sub of subtitles) {
+        const status = matchEpisode(sub, parseReleaseName(sub._release), parsed);
+
+        if (status === 'mismatch') {
+            dropped++;
+            continue;
         }
+        kept.push(status === 'pack'
+            ? { ...sub, id: `${sub.id} [Pack saison ${parsed.season}]`, _seasonPack: true }
+            : sub);
+    }
+
+    if (dropped > 0) {
+        const target = parsed.season ? `S${parsed.season}E${parsed.episode}` : `épisode absolu ${parsed.absoluteEpisode}`;
+        console.log(`[Addon] ${dropped} sous-titre(s) d'un autre épisode retiré(s) (${target})`);
+    }
+    return kept;
+}
+
+/**
+ * Retrouve la source et le fichier d'une URL du proxy
+ *
+ * @param {string} url - URL du proxy (ex: https://addon.com/proxy/os/12345?fps=25)
+ * @returns {string|null} Référence "source:fileId" ou null
+ */
+function getProxyTarget(url) {
+    const match = url.match(/\/proxy\/([^/]+)\/([^/?]+)/);
+    return match ? `${match[1]}:${match[2]}` : null;
+}
 
-        console.log(`[Addon] Cache MISS - Recherche sur les APIs...`);
-        console.log(`[Addon] IMDB ID: ${parsed.imdbId}`);
+/**
+ * Applique la préférence sur les traductions automatiques / IA (_translated)
+ *
+ * @param {Array} subtitles - Sous-titres ordonnés
+ * @param {string} policy - 'bottom' (en fin de liste), 'hide' (masquées)
+ *   ou 'fallback' (seulement dans les langues sans sous-titre humain)
+ * @returns {Array} Sous-titres filtrés / réordonnés
+ */
+function applyTranslatedPolicy(subtitles, policy) {
+    const human = subtitles.filter(sub => !sub._translated);
+    const translated = subtitles.filter(sub => sub._translated);
 
-        // Recherche en parallèle sur toutes les sources
-        const searchPromises = [];
+    if (translated.length === 0) {
+        return subtitles;
+    }
+
+    if (policy === 'hide') {
+        return human;
+    }
 
-        if (osClient) {
-            searchPromises.push(searchOpenSubtitles(parsed));
+    if (policy === 'fallback') {
+        const humanLanguages = new Set(human.map(sub => sub.lang));
+        return [...human, ...translated.filter(sub => !humanLanguages.has(sub.lang))];
+    }
+
+    return [...human, ...translated];
+}
+
+/**
+ * Fusionne les sous-titres présents sur plusieurs sources (voir lib/dedup)
+ * Le résultat conservé est celui de la source la plus disponible :
+ * fichier déjà stocké sur disque, puis source sans quota, puis source à quota non épuisé.
+ *
+ * @param {Array} subtitles - Sous-titres de toutes les sources
+ * @param {Object} config - Configuration utilisateur normalisée
+ * @returns {Array} Sous-titres dédoublonnés
+ */
+function deduplicate(subtitles, config) {
+    const providers = registry.getProviders(config);
+
+    const result = deduplicateSubtitles(subtitles, sub => {
+        const target = getProxyTarget(sub.url);
+        if (!target) {
+            return { source: null, availability: 0, fingerprint: null };
         }
 
-        if (subdlClient) {
-            searchPromises.push(searchSubDL(parsed));
+        const [proxyPath, fileId] = target.split(':');
+        const provider = providers.find(({ entry }) => entry.proxyPath === proxyPath);
+        if (!provider) {
+            return { source: null, availability: 0, fingerprint: null };
         }
 
-        const results = await Promise.all(searchPromises);
-        const allSubtitles = results.flat();
+        const { entry, client } = provider;
+        const hasQuota = typeof client.isQuotaExhausted === 'function';
+        let availability = 2;
+        if (fileStore.has(entry.id, fileId)) availability = 3;
+        else if (hasQuota && client.isQuotaExhausted()) availability = 0;
+        else if (hasQuota) availability = 1;
 
-        // Stocke dans le cache (même si vide, pour éviter de refaire la recherche)
-        subtitlesCache.set(type, cacheKey, allSubtitles);
+        return { source: entry, availability, fingerprint: fileStore.getFingerprint(entry.id, fileId) };
+    });
 
-        if (allSubtitles.length === 0) {
-            console.log('[Addon] Aucun sous-titre trouvé sur aucune source');
-            return { subtitles: [] };
-        }
+    if (result.length < subtitles.length) {
+        console.log(`[Addon] Dédup: ${subtitles.length - result.length} doublon(s) fusionné(s) entre sources`);
+    }
+    return result;
+}
 
-        // Tri par score de correspondance si on a des infos de fichier
-        const sortedSubtitles = sortSubtitlesByMatch(allSubtitles, parsed);
+/**
+ * Relègue en fin de liste les résultats des sources dont le quota de téléchargement
+ * est épuisé (ex: OpenSubtitles) : le proxy les refuserait jusqu'à la remise à zéro.
+ * Les fichiers déjà présents dans le stockage disque restent à leur place.
+ *
+ * @param {Array} subtitles - Sous-titres ordonnés
+ * @param {Object} config - Configuration utilisateur normalisée
+ * @returns {Array} Sous-titres réordonnés
+ */
+function demoteExhaustedSources(subtitles, config) {
+    const exhausted = registry.getProviders(config)
+        .filter(({ client }) => typeof client.isQuotaExhausted === 'function' && client.isQuotaExhausted())
+        .map(({ entry }) => entry);
 
-        console.log(`[Addon] Total: ${sortedSubtitles.length} sous-titre(s) combinés (mis en cache)`);
-        return { subtitles: sortedSubtitles };
+    if (exhausted.length === 0) {
+        return subtitles;
+    }
 
-    } catch (error) {
-        console.error('[Addon] Erreur handler sous-titres:', error.message);
-        return { subtitles: [] };
+    const isUnavailable = sub => {
+        const target = getProxyTarget(sub.url);
+        if (!target) return false;
+
+        const [proxyPath, fileId] = target.split(':');
+        const entry = exhausted.find(e => e.proxyPath === proxyPath);
+        return !!entry && !fileStore.has(entry.id, fileId);
+    };
+
+    const available = subtitles.filter(sub => !isUnavailable(sub));
+    const unavailable = subtitles.filter(isUnavailable);
+
+    if (unavailable.length > 0) {
+        console.log(`[Addon] Quota épuisé (${exhausted.map(e => e.name).join(', ')}): ${unavailable.length} sous-titre(s) relégué(s) en fin de liste`);
+    }
+    return [...available, ...unavailable];
+}
+
+/**
+ * Ajoute une variante "Synchro auto" au meilleur résultat de chaque langue
+ * qui n'a pas de match par hash : le proxy la recale sur une référence trouvée
+ * par hash (souvent en anglais), synchronisée avec la vidéo (voir lib/alignment).
+ *
+ * @param {Array} subtitles - Sous-titres ordonnés
+ * @param {Array} references - Sous-titres trouvés par hash
+ * @returns {Array} Sous-titres avec les variantes, chacune placée après son original
+ */
+function addSyncVariants(subtitles, references) {
+    const reference = references.find(sub => sub.url.includes('/proxy/'));
+    if (!reference) {
+        return subtitles;
+    }
+
+    const syncRef = getProxyTarget(reference.url);
+    const handledLanguages = new Set(references.map(sub => sub.lang));
+    const result = [];
+
+    for (const sub of subtitles) {
+        result.push(sub);
+
+        // Une seule variante par langue, pas sur les variantes de frame rate
+        if (handledLanguages.has(sub.lang) || !sub.url.includes('/proxy/') || sub.url.includes('fpsTo=')) continue;
+        handledLanguages.add(sub.lang);
+
+        result.push({
+            ...sub,
+            id: `${sub.id} [Synchro auto]`,
+            url: withQuery(sub.url, 'syncRef', syncRef)
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Récupère un fichier de sous-titres : depuis le stockage disque si déjà téléchargé,
+ * sinon via la source (le contenu est alors stocké pour les demandes suivantes)
+ *
+ * @param {Object} provider - Source résolue par le registre ({ entry, client })
+ * @param {string} fileId - Identifiant du fichier chez la source
+ * @returns {Promise<Object|null>} { content, filename } | { redirect } | null
+ * @throws {RateLimitError} Si la source est rate limitée
+ */
+async function downloadSubtitle({ entry, client }, fileId) {
+    const stored = fileStore.get(entry.id, fileId);
+    if (stored) {
+        console.log(`[Proxy] Fichier servi depuis le stockage disque: ${entry.id}/${fileId}`);
+        return stored;
+    }
+
+    const download = await client.resolveDownload(fileId);
+    if (download && download.content) {
+        fileStore.set(entry.id, fileId, {
+            ...download,
+            fingerprint: contentFingerprint(download.content, download.filename)
+        });
+    }
+    return download;
+}
+
+/**
+ * Résultats d'alignement déjà calculés (candidat|référence -> { scale, shift } ou null)
+ * Évite de retélécharger la référence à chaque lecture.
+ */
+const syncCache = new Map();
+
+/**
+ * Calcule le recalage d'un sous-titre sur une référence synchronisée avec la vidéo
+ *
+ * @param {string} syncRef - Référence "source:fileId"
+ * @param {string} candidateKey - Identifiant du candidat (source/fileId)
+ * @param {string} text - Contenu UTF-8 du candidat
+ * @param {Object} options - Options de parsing du candidat
+ * @param {string} options.filename - Nom du fichier candidat
+ * @param {number} [options.fps] - Frame rate du candidat (MicroDVD)
+ * @param {Object} config - Configuration utilisateur (clés pour télécharger la référence)
+ * @returns {Promise<Object|null>} { scale, shift, confidence } ou null si alignement impossible
+ */
+async function computeSync(syncRef, candidateKey, text, { filename, fps }, config) {
+    const cacheKey = `${candidateKey}|${syncRef}`;
+    if (syncCache.has(cacheKey)) {
+        return syncCache.get(cacheKey);
     }
-});
+
+    const [, refSource, refFileId] = syncRef.match(SYNC_REF_PATTERN);
+    const provider = registry.getProxyProvider(refSource, config);
+    if (!provider || (provider.entry.fileIdPattern && !provider.entry.fileIdPattern.test(refFileId))) {
+        return null;
+    }
+
+    console.log(`[Proxy] Téléchargement de la référence ${syncRef} pour alignement`);
+    const download = await downloadSubtitle(provider, refFileId);
+    if (!download || !download.content) {
+        return null;
+    }
+
+    const reference = toUtf8(download.content).text;
+    const referenceCues = parseSubtitle(reference, detectFormat(reference, download.filename));
+    const candidateCues = parseSubtitle(text, detectFormat(text, filename), { fps });
+    const sync = alignCues(candidateCues, referenceCues);
+
+    // null aussi mis en cache : inutile de retenter un alignement impossible
+    syncCache.set(cacheKey, sync);
+    if (syncCache.size > MAX_SYNC_CACHE) {
+        syncCache.delete(syncCache.keys().next().value);
+    }
+    return sync;
+}
+
+/**
+ * Ajoute des variantes décalées (-2s, -1s, +1s, +2s) du meilleur résultat,
+ * placées juste après lui : l'utilisateur peut corriger la synchro depuis le menu du lecteur.
+ *
+ * @param {Array} subtitles - Sous-titres ordonnés
+ * @returns {Array} Sous-titres avec les variantes
+ */
+function addShiftVariants(subtitles) {
+    const top = subtitles[0];
+    if (!top || !top.url.includes('/proxy/')) {
+        return subtitles;
+    }
+
+    const variants = SHIFT_VARIANTS.map(shift => ({
+        ...top,
+        id: `${top.id} [${shift > 0 ? '+' : ''}${shift / 1000}s]`,
+        url: withQuery(top.url, 'shift', shift)
+    }));
+
+    return [top, ...variants, ...subtitles.slice(1)];
+}
 
 /**
  * Trie les sous-titres par score de correspondance avec le fichier vidéo
+ * Sans infos de fichier, les signaux communautaires et la préférence HI / forcés départagent (le tri est stable).
  *
  * @param {Array} subtitles - Liste des sous-titres
  * @param {Object} parsed - Infos parsées (incluant filename, videoHash)
+ * @param {string} [subtitleMode] - Préférence HI / forcés (lib/subtitle-modes)
  * @returns {Array} Sous-titres triés par score décroissant
  */
-function sortSubtitlesByMatch(subtitles, parsed) {
-    // Si pas d'infos de fichier, on garde l'ordre original
-    if (!parsed.filename && !parsed.videoHash) {
-        return subtitles;
-    }
-
+function sortSubtitlesByMatch(subtitles, parsed, subtitleMode = 'all') {
     const videoInfo = parseReleaseName(parsed.filename);
 
-    // Calcule le score pour chaque sous-titre
-    const scoredSubtitles = subtitles.map(sub => {
-        const isHashMatch = sub._hashMatch === true;
-        const score = calculateMatchScore(sub, videoInfo, isHashMatch);
+    // Calcule le score pour chaque sous-titre (variantes de frame rate incluses)
+    const scoredSubtitles = addFpsVariants(subtitles, videoInfo).map(sub => {
+        const { score, breakdown, releaseInfo } = calculateMatchScore(sub, videoInfo, {
+            hashMatch: sub._hashMatch === true,
+            subtitleMode,
+            weights: MATCH_WEIGHTS,
+            target: parsed
+        });
 
         return {
             ...sub,
-            _score: score
+            _score: score,
+            _scoreBreakdown: breakdown,
+            _releaseInfo: releaseInfo
         };
     });
 
@@ -327,37 +668,54 @@ function sortSubtitlesByMatch(subtitles, parsed) {
         });
     }
 
-    // Nettoie les propriétés internes avant de retourner
-    return scoredSubtitles.map(sub => {
-        const cleaned = { ...sub };
-        delete cleaned._score;
-        delete cleaned._release;
-        delete cleaned._hashMatch;
-        return cleaned;
-    });
+    return scoredSubtitles;
+}
+
+/**
+ * Retire les propriétés internes (préfixe _ : _release, _score, _hi...) avant l'envoi à Stremio
+ *
+ * @param {Object} subtitle - Sous-titre
+ * @returns {Object} Sous-titre nettoyé
+ */
+function stripInternalFields(subtitle) {
+    const cleaned = {};
+    for (const [key, value] of Object.entries(subtitle)) {
+        if (!key.startsWith('_')) cleaned[key] = value;
+    }
+    return cleaned;
 }
 
 /**
  * Handler pour les requêtes de métadonnées (affichage dispo sous-titres)
  */
-if (ENABLE_META && cinemetaClient && subtitleChecker) {
+if (ENABLE_META && subtitleChecker) {
     builder.defineMetaHandler(async (args) => {
         const { type, id } = args;
+        const config = parseConfig(args.config, DEFAULT_CONFIG);
+        const providers = registry.getProviders(config, type);
 
         console.log(`\n[Addon] === Nouvelle requête meta ===`);
         console.log(`[Addon] Type: ${type}, ID: ${id}`);
 
-        // Extrait l'ID IMDB
-        const imdbId = id.split(':')[0];
+        // Extrait l'ID IMDB (converti depuis l'ID TMDB si besoin)
+        const { imdbId } = await resolveTmdbId(parseId(id, type));
 
-        if (!imdbId || !imdbId.match(/^tt\d+$/)) {
+        if (!imdbId) {
             console.log('[Addon] ID IMDB invalide');
             return { meta: null };
         }
 
+        if (providers.length === 0) {
+            console.log('[Addon] Aucune source utilisable pour cette configuration');
+            return { meta: null };
+        }
+
+        // Le cache dépend des langues et sources choisies par l'utilisateur
+        const metaCacheKey = `${imdbId}|${config.languages.join(',')}|${config.sources.join(',')}`;
+
         try {
             // Vérifie le cache d'abord
-            let subtitleInfo = metaCache.get(imdbId);
+            let subtitleInfo = metaCache.get(metaCacheKey);
             let needsCheck = subtitleInfo === null;
 
             // Appels en parallèle
@@ -366,7 +724,7 @@ if (ENABLE_META && cinemetaClient && subtitleChecker) {
             ];
 
             if (needsCheck) {
-                promises.push(subtitleChecker.checkAll(imdbId, type));
+                promises.push(subtitleChecker.checkAll(imdbId, type, config.languages, providers));
             }
 
             const results = await Promise.all(promises);
@@ -376,7 +734,7 @@ if (ENABLE_META && cinemetaClient && subtitleChecker) {
                 subtitleInfo = results[1];
 
                 if (subtitleInfo !== null) {
-                    metaCache.set(imdbId, subtitleInfo);
+                    metaCache.set(metaCacheKey, subtitleInfo);
                 }
             }
 
@@ -385,16 +743,21 @@ if (ENABLE_META && cinemetaClient && subtitleChecker) {
                 return { meta: null };
             }
 
+            // Fiche demandée par ID TMDB : Stremio attend le même ID en retour
+            meta.id = id;
+
             // Enrichit la description
-            meta.description = enrichDescription(meta.description, subtitleInfo);
+            meta.description = enrichDescription(meta.description, subtitleInfo, config.languages);
 
-            // Ajoute un badge emoji si activé
-            if (BADGE_IN_TITLE) {
+            // Ajoute un badge emoji selon la préférence de l'utilisateur
+            if (config.badge === 'releaseInfo') {
                 // Ajoute le badge dans releaseInfo (ligne année/durée)
-                meta.releaseInfo = enrichReleaseInfo(meta.releaseInfo || meta.year, subtitleInfo);
+                meta.releaseInfo = enrichReleaseInfo(meta.releaseInfo || meta.year, subtitleInfo, config.languages);
+            } else if (config.badge === 'title') {
+                meta.name = enrichTitle(meta.name, subtitleInfo, config.languages);
             }
 
-            console.log(`[Addon] Meta enrichie: "${meta.name}"${BADGE_IN_TITLE && subtitleInfo?.available ? ' 🇫🇷' : ''}`);
+            console.log(`[Addon] Meta enrichie: "${meta.name}"${config.badge !== 'none' && subtitleInfo?.available ? ` ${getBadge(subtitleInfo, config.languages)}` : ''}`);
             return { meta };
 
         } catch (error) {
@@ -404,29 +767,64 @@ if (ENABLE_META && cinemetaClient && subtitleChecker) {
     });
 }
 
+/**
+ * Retourne les langues disponibles, dans l'ordre de priorité de l'utilisateur
+ *
+ * @param {Object} subtitleInfo - Info sous-titres { available, count, languages }
+ * @param {Array<string>} languages - Langues demandées par ordre de priorité
+ * @returns {Array<string>} Codes ISO 639-1 disponibles
+ */
+function getAvailableLanguages(subtitleInfo, languages) {
+    const counts = subtitleInfo.languages || {};
+    const available = languages.filter(lang => counts[lang] > 0);
+
+    // Anciennes entrées de cache sans détail par langue
+    if (available.length === 0 && Object.keys(counts).length === 0) {
+        return languages;
+    }
+
+    return available;
+}
+
+/**
+ * Retourne le badge emoji (drapeaux des langues disponibles)
+ *
+ * @param {Object} subtitleInfo - Info sous-titres { available, count, languages }
+ * @param {Array<string>} languages - Langues demandées par ordre de priorité
+ * @returns {string} Badge (ex: "🇫🇷🇬🇧")
+ */
+function getBadge(subtitleInfo, languages) {
+    return getAvailableLanguages(subtitleInfo, languages)
+        .map(lang => LANGUAGES[lang].flag)
+        .join('');
+}
+
 /**
  * Enrichit la description avec l'information de disponibilité des sous-titres
  *
  * @param {string} originalDesc - Description originale
- * @param {Object|null} subtitleInfo - Info sous-titres { available, count, sources } ou null
+ * @param {Object|null} subtitleInfo - Info sous-titres { available, count, languages, sources } ou null
+ * @param {Array<string>} languages - Langues demandées par ordre de priorité
  * @returns {string} Description enrichie
  */
-function enrichDescription(originalDesc, subtitleInfo) {
+function enrichDescription(originalDesc, subtitleInfo, languages) {
     let prefix = '';
+    const requested = formatLanguageList(languages);
 
     if (subtitleInfo === null) {
-        prefix = 'Sous-titres FR : info non disponible\n\n';
+        prefix = `Sous-titres ${requested} : info non disponible\n\n`;
     } else if (subtitleInfo.available) {
         // Détails par source
         const details = [];
-        if (subtitleInfo.sources) {
-            if (subtitleInfo.sources.os?.count) details.push(`OS:${subtitleInfo.sources.os.count}`);
-            if (subtitleInfo.sources.subdl?.count) details.push(`SubDL:${subtitleInfo.sources.subdl.count}`);
+        for (const [sourceId, result] of Object.entries(subtitleInfo.sources || {})) {
+            const entry = getProviderDefinition(sourceId);
+            if (entry && result?.count) details.push(`${entry.prefix}:${result.count}`);
         }
         const detailStr = details.length > 0 ? ` (${details.join(', ')})` : '';
-        prefix = `Sous-titres FR disponibles${detailStr}\n\n`;
+        const availableLanguages = formatLanguageList(getAvailableLanguages(subtitleInfo, languages));
+        prefix = `Sous-titres ${availableLanguages} disponibles${detailStr}\n\n`;
     } else {
-        prefix = 'Pas de sous-titres FR disponibles\n\n';
+        prefix = `Pas de sous-titres ${requested} disponibles\n\n`;
     }
 
     return prefix + (originalDesc || '');
@@ -436,10 +834,11 @@ function enrichDescription(originalDesc, subtitleInfo) {
  * Enrichit le titre avec un badge emoji indiquant la disponibilité
  *
  * @param {string} originalTitle - Titre original
- * @param {Object|null} subtitleInfo - Info sous-titres { available, count, sources } ou null
+ * @param {Object|null} subtitleInfo - Info sous-titres { available, count, languages, sources } ou null
+ * @param {Array<string>} languages - Langues demandées par ordre de priorité
  * @returns {string} Titre avec badge
  */
-function enrichTitle(originalTitle, subtitleInfo) {
+function enrichTitle(originalTitle, subtitleInfo, languages) {
     if (!originalTitle) return originalTitle;
 
     // Badge selon la disponibilité
@@ -448,7 +847,7 @@ function enrichTitle(originalTitle, subtitleInfo) {
     if (subtitleInfo === null) {
         badge = ' ⏳'; // En attente d'info
     } else if (subtitleInfo.available) {
-        badge = ' 🇫🇷'; // Sous-titres FR disponibles
+        badge = ` ${getBadge(subtitleInfo, languages)}`; // Drapeaux des langues disponibles
     }
     // Pas de badge si aucun sous-titre (pour ne pas polluer)
 
@@ -460,83 +859,153 @@ function enrichTitle(originalTitle, subtitleInfo) {
  *
  * @param {string} originalReleaseInfo - ReleaseInfo original (ex: "1994-2004")
  * @param {Object|null} subtitleInfo - Info sous-titres
+ * @param {Array<string>} languages - Langues demandées par ordre de priorité
  * @returns {string} ReleaseInfo avec badge
  */
-function enrichReleaseInfo(originalReleaseInfo, subtitleInfo) {
+function enrichReleaseInfo(originalReleaseInfo, subtitleInfo, languages) {
     const base = originalReleaseInfo || '';
 
     if (subtitleInfo === null) {
         return base; // Pas d'info, on ne change rien
     } else if (subtitleInfo.available) {
-        return base ? `${base} 🇫🇷` : '🇫🇷 Subs FR';
+        const badge = getBadge(subtitleInfo, languages);
+        return base ? `${base} ${badge}` : `${badge} Subs ${formatLanguageList(getAvailableLanguages(subtitleInfo, languages))}`;
     }
 
     return base;
 }
 
 /**
- * Recherche des sous-titres sur OpenSubtitles
+ * Calcule l'URL de base du proxy pour une configuration
+ * Les clés API personnelles sont transmises au proxy via l'URL.
  */
-async function searchOpenSubtitles(parsed) {
+function getProxyBaseUrl(config) {
+    const apiKeys = getApiKeys(config);
+    if (!apiKeys) {
+        return addonUrl;
+    }
+    return `${addonUrl}/${encodeURIComponent(JSON.stringify(apiKeys))}`;
+}
+
+/**
+ * Recherche des sous-titres sur une source du registre
+ *
+ * @param {Object} provider - Source { entry, client }
+ * @param {Object} parsed - Infos parsées (parseId)
+ * @param {Object} config - Configuration utilisateur normalisée
+ * @returns {Promise<Array>} Sous-titres formatés pour Stremio
+ */
+async function searchProvider({ entry, client }, parsed, config) {
     try {
-        const searchResult = await osClient.searchSubtitles({
+        const results = await client.searchSubtitles({
             imdbId: parsed.imdbId,
+            tmdbId: entry.tmdbIds ? parsed.tmdbId : null,
             type: parsed.type,
             season: parsed.season,
             episode: parsed.episode,
             videoHash: parsed.videoHash,
-            videoSize: parsed.videoSize
+            videoSize: parsed.videoSize,
+            languages: config.languages,
+            subtitleMode: config.subtitleMode,
+            translatedPolicy: config.translatedPolicy
         });
 
-        if (searchResult.subtitles.length === 0) {
-            return [];
-        }
-
         // Passe l'URL de l'addon pour générer les URLs de proxy
-        return osClient.formatForStremio(searchResult, addonUrl);
+        return client.formatForStremio(results, getProxyBaseUrl(config)).map(addFpsParam);
     } catch (error) {
-        console.error('[Addon] Erreur OpenSubtitles:', error.message);
+        console.error(`[Addon] Erreur ${entry.name}:`, error.message);
         return [];
     }
 }
 
 /**
- * Recherche des sous-titres sur SubDL
+ * Ajoute un paramètre de requête à une URL du proxy
+ *
+ * @param {string} url - URL
+ * @param {string} key - Nom du paramètre
+ * @param {string|number} value - Valeur
+ * @returns {string} URL complétée
  */
-async function searchSubDL(parsed) {
-    try {
-        const subtitles = await subdlClient.searchSubtitles({
-            imdbId: parsed.imdbId,
-            type: parsed.type,
-            season: parsed.season,
-            episode: parsed.episode
-        });
+function withQuery(url, key, value) {
+    return `${url}${url.includes('?') ? '&' : '?'}${key}=${encodeURIComponent(value)}`;
+}
 
-        if (subtitles.length === 0) {
-            return [];
-        }
+/**
+ * Ajoute le frame rate de la release à l'URL du proxy
+ * Nécessaire pour convertir les timings en frames des fichiers MicroDVD
+ * et pour proposer les variantes de frame rate (addFpsVariants).
+ *
+ * @param {Object} subtitle - Sous-titre formaté (_fps fourni par la source ou déduit de _release)
+ * @returns {Object} Sous-titre avec ?fps= si connu
+ */
+function addFpsParam(subtitle) {
+    const fps = subtitle._fps || detectFps(subtitle._release);
+    const result = { ...subtitle, _fps: fps || null };
 
-        return subdlClient.formatForStremio(subtitles);
-    } catch (error) {
-        console.error('[Addon] Erreur SubDL:', error.message);
-        return [];
+    if (fps && result.url.includes('/proxy/')) {
+        result.url = withQuery(result.url, 'fps', fps);
     }
+    return result;
+}
+
+/**
+ * Ajoute une variante recalée pour chaque sous-titre dont le frame rate
+ * ne correspond probablement pas à celui de la vidéo (ex: sous-titre PAL 25 fps
+ * sur une release WEB / BluRay 23.976 fps, qui dérive de plusieurs minutes).
+ * La variante est servie par le proxy avec ?fpsTo= (timings remis à l'échelle).
+ *
+ * @param {Array} subtitles - Sous-titres (avec _fps)
+ * @param {Object} videoInfo - Infos du fichier vidéo parsées (lib/release-parser)
+ * @returns {Array} Sous-titres, chaque variante placée après son original
+ */
+function addFpsVariants(subtitles, videoInfo) {
+    if (!videoInfo.fps) {
+        return subtitles;
+    }
+
+    const result = [];
+    let variants = 0;
+
+    for (const sub of subtitles) {
+        result.push(sub);
+
+        if (!sub._fps || !sub.url.includes('/proxy/') || !isFpsMismatch(sub._fps, videoInfo.fps)) continue;
+
+        result.push({
+            ...sub,
+            id: `${sub.id} [${sub._fps}→${videoInfo.fps} fps]`,
+            url: withQuery(sub.url, 'fpsTo', videoInfo.fps)
+        });
+        variants++;
+    }
+
+    if (variants > 0) {
+        console.log(`[Addon] ${variants} variante(s) de frame rate ajoutée(s) (vidéo ${videoInfo.fps} fps)`);
+    }
+    return result;
 }
 
 /**
  * Parse l'identifiant Stremio pour extraire les informations
  *
- * @param {string} id - ID Stremio (ex: tt1234567 ou tt1234567:1:2)
+ * Les IDs anime (ex: kitsu:12345:5) sont convertis en ID IMDB + saison / épisode (lib/anime-mapping).
+ * Les IDs TMDB (ex: tmdb:1399:1:2) renseignent tmdbId, l'ID IMDB est obtenu par resolveTmdbId.
+ *
+ * @param {string} id - ID Stremio (ex: tt1234567, tt1234567:1:2, tmdb:1399:1:2 ou kitsu:12345:5)
  * @param {string} type - Type de contenu (movie ou series)
  * @param {Object} extra - Paramètres extra de Stremio
- * @returns {Object} Infos parsées
+ * @returns {Object} Infos parsées (absoluteEpisode : numéro absolu d'un épisode anime, sinon null)
  */
 function parseId(id, type, extra = {}) {
     const result = {
         imdbId: null,
+        tmdbId: null,
         type: type,
         season: null,
         episode: null,
+        absoluteEpisode: null,
+        // Conversion de l'ID TMDB en échec temporaire (resolveTmdbId)
+        incomplete: false,
         // Infos fichier pour matching
         videoHash: extra.videoHash || null,
         videoSize: extra.videoSize ? parseInt(extra.videoSize, 10) : null,
@@ -545,7 +1014,28 @@ function parseId(id, type, extra = {}) {
 
     if (!id) return result;
 
-    if (type === 'series' && id.includes(':')) {
+    if (isAnimeId(id)) {
+        const anime = animeMapping ? animeMapping.resolve(id) : null;
+        if (!anime) {
+            console.log(`[Addon] ID anime sans correspondance IMDB: ${id}`);
+            return result;
+        }
+
+        result.imdbId = anime.imdbId;
+        if (type === 'series') {
+            result.season = anime.season;
+            result.episode = anime.episode;
+            result.absoluteEpisode = anime.absoluteEpisode;
+        }
+    } else if (isTmdbId(id)) {
+        const parts = id.slice(TMDB_ID_PREFIX.length).split(':');
+        result.tmdbId = /^\d+$/.test(parts[0]) ? parts[0] : null;
+        if (type === 'series') {
+            result.season = parseInt(parts[1], 10) || null;
+            result.episode = parseInt(parts[2], 10) || null;
+        }
+        return result;
+    } else if (type === 'series' && id.includes(':')) {
         const parts = id.split(':');
         result.imdbId = parts[0];
         result.season = parseInt(parts[1], 10) || null;
@@ -562,129 +1052,26 @@ function parseId(id, type, extra = {}) {
 }
 
 /**
- * Parse le nom d'un fichier pour extraire les infos de release
+ * Complète les infos parsées d'un ID TMDB avec l'ID IMDB correspondant (lib/tmdb-mapping)
+ * Sans correspondance, imdbId reste null : seules les sources acceptant l'ID TMDB seront interrogées.
+ * Si TMDB est injoignable, incomplete est positionné : les résultats partiels ne sont pas mis en cache.
  *
- * @param {string} filename - Nom du fichier vidéo
- * @returns {Object} Infos extraites (group, quality, source, codec, etc.)
+ * @param {Object} parsed - Infos parsées (parseId)
+ * @returns {Promise<Object>} Les mêmes infos, imdbId renseigné si possible
  */
-function parseReleaseName(filename) {
-    if (!filename) return {};
-
-    const result = {
-        original: filename,
-        normalized: filename.toLowerCase().replace(/[._-]/g, ' '),
-        group: null,
-        quality: null,
-        source: null,
-        codec: null,
-        year: null
-    };
-
-    // Extrait le groupe de release (généralement à la fin après un tiret)
-    const groupMatch = filename.match(/-([A-Za-z0-9]+)(?:\.[a-z]{2,4})?$/i);
-    if (groupMatch) {
-        result.group = groupMatch[1].toUpperCase();
-    }
-
-    // Qualité vidéo
-    const qualityPatterns = [
-        { pattern: /2160p|4k|uhd/i, value: '2160p' },
-        { pattern: /1080p/i, value: '1080p' },
-        { pattern: /720p/i, value: '720p' },
-        { pattern: /480p/i, value: '480p' },
-        { pattern: /hdtv/i, value: 'HDTV' }
-    ];
-    for (const { pattern, value } of qualityPatterns) {
-        if (pattern.test(filename)) {
-            result.quality = value;
-            break;
-        }
-    }
-
-    // Source
-    const sourcePatterns = [
-        { pattern: /bluray|blu-ray|bdrip|brrip/i, value: 'BluRay' },
-        { pattern: /webrip|web-rip/i, value: 'WEBRip' },
-        { pattern: /web-dl|webdl/i, value: 'WEB-DL' },
-        { pattern: /hdtv/i, value: 'HDTV' },
-        { pattern: /dvdrip/i, value: 'DVDRip' }
-    ];
-    for (const { pattern, value } of sourcePatterns) {
-        if (pattern.test(filename)) {
-            result.source = value;
-            break;
-        }
-    }
-
-    // Codec
-    const codecPatterns = [
-        { pattern: /x265|h\.?265|hevc/i, value: 'x265' },
-        { pattern: /x264|h\.?264|avc/i, value: 'x264' }
-    ];
-    for (const { pattern, value } of codecPatterns) {
-        if (pattern.test(filename)) {
-            result.codec = value;
-            break;
-        }
-    }
-
-    // Année
-    const yearMatch = filename.match(/[.\s([]?(19|20)\d{2}[.\s)\]]/);
-    if (yearMatch) {
-        result.year = yearMatch[0].replace(/[.\s()[\]]/g, '');
-    }
-
-    return result;
-}
-
-/**
- * Calcule un score de correspondance entre un sous-titre et un fichier vidéo
- *
- * @param {Object} subtitle - Sous-titre avec ses infos
- * @param {Object} videoInfo - Infos du fichier vidéo parsées
- * @param {boolean} hashMatch - True si le hash correspond
- * @returns {number} Score (0-100)
- */
-function calculateMatchScore(subtitle, videoInfo, hashMatch = false) {
-    // Hash match = score parfait
-    if (hashMatch) return 100;
-
-    let score = 0;
-    const subRelease = subtitle.release || subtitle.SubFileName || '';
-    const subInfo = parseReleaseName(subRelease);
-
-    // Match du groupe de release (+40 points)
-    if (videoInfo.group && subInfo.group && videoInfo.group === subInfo.group) {
-        score += 40;
-    }
-
-    // Match de la qualité (+20 points)
-    if (videoInfo.quality && subInfo.quality && videoInfo.quality === subInfo.quality) {
-        score += 20;
-    }
-
-    // Match de la source (+15 points)
-    if (videoInfo.source && subInfo.source && videoInfo.source === subInfo.source) {
-        score += 15;
-    }
-
-    // Match du codec (+10 points)
-    if (videoInfo.codec && subInfo.codec && videoInfo.codec === subInfo.codec) {
-        score += 10;
-    }
-
-    // Bonus si le nom normalisé contient des mots communs (+5 points max)
-    if (videoInfo.normalized && subInfo.normalized) {
-        const videoWords = new Set(videoInfo.normalized.split(/\s+/).filter(w => w.length > 2));
-        const subWords = new Set(subInfo.normalized.split(/\s+/).filter(w => w.length > 2));
-        let commonWords = 0;
-        for (const word of videoWords) {
-            if (subWords.has(word)) commonWords++;
+async function resolveTmdbId(parsed) {
+    if (parsed.tmdbId && !parsed.imdbId) {
+        try {
+            parsed.imdbId = await tmdbMapping.resolve(parsed.tmdbId, parsed.type);
+            if (!parsed.imdbId) {
+                console.log(`[Addon] ID TMDB sans correspondance IMDB: ${parsed.tmdbId}`);
+            }
+        } catch (error) {
+            parsed.incomplete = true;
+            console.log(`[Addon] Conversion de l'ID TMDB ${parsed.tmdbId} impossible pour le moment: ${error.message}`);
         }
-        score += Math.min(commonWords, 5);
     }
-
-    return score;
+    return parsed;
 }
 
 // ============================================
@@ -706,35 +1093,114 @@ app.use((req, res, next) => {
     next();
 });
 
-// Route proxy pour OpenSubtitles (lazy download)
-app.get('/proxy/os/:fileId', async (req, res) => {
-    const { fileId } = req.params;
+// Page de configuration (aussi accessible depuis un addon déjà configuré)
+app.get(['/configure', '/:config/configure'], (req, res) => {
+    const current = parseConfig(req.params.config, DEFAULT_CONFIG);
+    const serverSources = registry.getServerDefinitions().map(entry => entry.id);
 
-    // Validation du fileId (doit être numérique)
-    if (!fileId || !/^\d+$/.test(fileId)) {
-        console.error(`[Proxy] fileId invalide: ${fileId}`);
-        return res.status(400).send('Invalid file ID');
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(renderConfigurePage({ manifest, defaults: DEFAULT_CONFIG, current, serverSources }));
+});
+
+// Route proxy des sources (lazy download), ex: /proxy/os/:fileId
+// Le préfixe :config transporte les clés API personnelles de l'utilisateur
+app.get(['/proxy/:source/:fileId', '/:config/proxy/:source/:fileId'], async (req, res) => {
+    const { source, fileId } = req.params;
+    const config = parseConfig(req.params.config, DEFAULT_CONFIG);
+    const provider = registry.getProxyProvider(source, config);
+
+    if (!provider) {
+        console.error(`[Proxy] Source non configurée: ${source}`);
+        return res.status(503).send('Source not configured');
     }
 
-    console.log(`[Proxy] Demande de téléchargement pour file_id: ${fileId}`);
+    const { entry } = provider;
 
-    if (!osClient) {
-        console.error('[Proxy] OpenSubtitles non configuré');
-        return res.status(503).send('OpenSubtitles not configured');
+    // Validation du fileId selon la source
+    if (!fileId || (entry.fileIdPattern && !entry.fileIdPattern.test(fileId))) {
+        console.error(`[Proxy] fileId invalide: ${fileId}`);
+        return res.status(400).send('Invalid file ID');
     }
 
+    console.log(`[Proxy] Demande de téléchargement ${entry.name} pour file_id: ${fileId}`);
+
     try {
-        const downloadUrl = await osClient.getDownloadLink(parseInt(fileId, 10));
+        const download = await downloadSubtitle(provider, fileId);
 
-        if (!downloadUrl) {
+        if (!download) {
             console.error(`[Proxy] Lien non trouvé pour file_id: ${fileId}`);
             return res.status(404).send('Subtitle not found');
         }
 
-        console.log(`[Proxy] Redirection vers: ${downloadUrl}`);
-        return res.redirect(downloadUrl);
+        if (download.redirect) {
+            console.log(`[Proxy] Redirection vers: ${download.redirect}`);
+            return res.redirect(download.redirect);
+        }
+
+        // Contenu récupéré par la source, converti en UTF-8 (accents des vieux SRT Windows-1252)
+        const { text, encoding } = toUtf8(download.content);
+
+        // Conversion ASS/SSA, MicroDVD, SAMI -> SRT (ou WebVTT avec ?format=vtt)
+        const target = OUTPUT_FORMATS.includes(req.query.format) ? req.query.format : 'srt';
+        // ?fps= : frame rate du sous-titre, ?fpsTo= : frame rate de la vidéo (variante recalée)
+        const fps = parseFloat(req.query.fps);
+        const fpsTo = parseFloat(req.query.fpsTo);
+        const validFps = value => value > 0 && value < 200;
+
+        // ?shift= : décalage en ms (ex: -2500), ?stretch= : étirement linéaire (ex: 1.001)
+        const shiftParam = parseInt(req.query.shift, 10);
+        const stretchParam = parseFloat(req.query.stretch);
+        const shift = Math.abs(shiftParam) <= MAX_SHIFT ? shiftParam : 0;
+        const stretch = stretchParam >= MIN_STRETCH && stretchParam <= MAX_STRETCH ? stretchParam : 1;
+
+        let timing = {
+            scale: (validFps(fps) && validFps(fpsTo) ? fps / fpsTo : 1) * stretch,
+            shift
+        };
+
+        // ?syncRef= : alignement automatique sur une référence trouvée par hash (remplace la conversion de frame rate)
+        if (req.query.syncRef && SYNC_REF_PATTERN.test(req.query.syncRef)) {
+            try {
+                const sync = await computeSync(req.query.syncRef, `${source}/${fileId}`, text, {
+                    filename: download.filename,
+                    fps: validFps(fps) ? fps : null
+                }, config);
+
+                if (sync) {
+                    console.log(`[Proxy] Alignement: x${sync.scale.toFixed(5)} ${sync.shift >= 0 ? '+' : ''}${sync.shift}ms (confiance ${sync.confidence})`);
+                    timing = { scale: sync.scale * stretch, shift: sync.shift * stretch + shift };
+                } else {
+                    console.log('[Proxy] Alignement impossible, fichier servi sans recalage');
+                }
+            } catch (error) {
+                console.error(`[Proxy] Erreur alignement (fichier servi sans recalage): ${error.message}`);
+            }
+        }
+
+        const result = convertSubtitle(text, {
+            filename: download.filename,
+            target,
+            fps: validFps(fps) ? fps : null,
+            ...timing
+        });
+
+        const filename = result.converted
+            ? download.filename.replace(/(\.[a-z0-9]+)?$/i, `.${result.format}`)
+            : download.filename;
+
+        console.log(`[Proxy] Envoi du fichier: ${filename} (${encoding} -> utf-8${result.converted ? `, ${result.from} -> ${result.format}` : ''})`);
+        res.set('Content-Type', `${getContentType(filename)}; charset=utf-8`);
+        return res.send(result.text);
 
     } catch (error) {
+        if (error instanceof QuotaExceededError) {
+            console.error(`[Proxy] Quota de téléchargement épuisé! Retry-After: ${error.retryAfter}s`);
+            if (error.retryAfter) {
+                res.set('Retry-After', error.retryAfter);
+            }
+            return res.status(429).send('Download quota exceeded for this source. Please try again later or pick another subtitle.');
+        }
+
         if (error instanceof RateLimitError) {
             console.error(`[Proxy] Rate limit! Retry-After: ${error.retryAfter}s`);
             if (error.retryAfter) {
@@ -754,10 +1220,17 @@ app.get('/health', (req, res) => {
         status: 'ok',
         version: manifest.version,
         sources: sources,
+        providers: registry.health(),
         metaEnabled: !!metaCache,
-        subtitlesCache: subtitlesCache.stats()
+        subtitlesCache: subtitlesCache.stats(),
+        fileStore: fileStore.stats(),
+        tmdbMapping: tmdbMapping.stats()
     };
 
+    if (animeMapping) {
+        response.animeMapping = animeMapping.stats();
+    }
+
     if (metaCache) {
         response.metaCache = metaCache.stats();
     }
@@ -776,6 +1249,81 @@ app.get('/subtitles-cache/clear', (req, res) => {
     res.json({ success: true, message: 'Cache sous-titres vidé' });
 });
 
+// Routes de gestion du stockage disque des fichiers
+app.get('/file-store/stats', (req, res) => {
+    res.json(fileStore.stats());
+});
+
+app.get('/file-store/clear', (req, res) => {
+    fileStore.clear();
+    console.log('[Addon] Stockage des fichiers vidé via /file-store/clear');
+    res.json({ success: true, message: 'Stockage des fichiers vidé' });
+});
+
+// Rafraîchissement immédiat de la correspondance des IDs anime
+if (animeMapping) {
+    app.get('/anime-mapping/refresh', async (req, res) => {
+        const success = await animeMapping.refresh();
+        console.log(`[Addon] Correspondance anime rafraîchie via /anime-mapping/refresh: ${success ? 'ok' : 'échec'}`);
+        res.json({ success, ...animeMapping.stats() });
+    });
+}
+
+// Diagnostic du classement : candidats, release parsée et détail du score par critère
+// Réservé à l'administrateur (DEBUG_TOKEN) : un cache MISS lance des recherches sur les quotas des sources
+// ex: /debug/match/series/tt0903747:1:2?token=...&filename=Breaking.Bad.S01E02.720p.BluRay.x264-DEMAND.mkv
+if (DEBUG_TOKEN) {
+    app.get(['/debug/match/:type/:id', '/:config/debug/match/:type/:id'], async (req, res) => {
+        if (req.query.token !== DEBUG_TOKEN) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+
+        const { type, id } = req.params;
+        const config = parseConfig(req.params.config, DEFAULT_CONFIG);
+        const parsed = await resolveTmdbId(parseId(id, type, {
+            filename: req.query.filename,
+            videoHash: req.query.videoHash,
+            videoSize: req.query.videoSize
+        }));
+
+        if (!parsed.imdbId && !parsed.tmdbId) {
+            return res.status(400).json({ error: 'Invalid IMDB ID' });
+        }
+
+        try {
+            const ranked = rankSubtitles(await findSubtitles(type, id, parsed, config), parsed, config);
+
+            // Les URLs du proxy embarquent les clés API de la configuration : elles ne sont pas renvoyées
+            const proxyBaseUrl = getProxyBaseUrl(config);
+            const withoutConfig = url => url.startsWith(proxyBaseUrl) ? addonUrl + url.slice(proxyBaseUrl.length) : url;
+
+            res.json({
+                type,
+                id,
+                filename: parsed.filename,
+                videoHash: parsed.videoHash,
+                videoInfo: parseReleaseName(parsed.filename),
+                weights: MATCH_WEIGHTS,
+                candidates: ranked.map((sub, index) => ({
+                    rank: index + 1,
+                    id: sub.id,
+                    lang: sub.lang,
+                    url: withoutConfig(sub.url),
+                    release: sub._release || null,
+                    hashMatch: sub._hashMatch === true,
+                    score: sub._score,
+                    breakdown: sub._scoreBreakdown,
+                    releaseInfo: sub._releaseInfo,
+                    community: sub._community || null
+                }))
+            });
+        } catch (error) {
+            console.error(`[Addon] Erreur /debug/match: ${error.message}`);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+}
+
 // Routes de gestion du cache (si meta activé)
 if (metaCache) {
     app.get('/cache/clear', (req, res) => {
@@ -814,6 +1362,7 @@ app.listen(PORT, () => {
     }
 
     console.log(`[Addon] Manifest: ${addonUrl}/manifest.json`);
+    console.log(`[Addon] Configuration: ${addonUrl}/configure`);
     console.log(`[Addon] ========================================\n`);
     console.log(`[Addon] Pour installer dans Stremio:`);
     console.log(`[Addon] 1. Ouvrez Stremio`);
@@ -821,16 +1370,22 @@ app.listen(PORT, () => {
     console.log(`[Addon] 3. Collez: ${addonUrl}/manifest.json`);
     console.log(`[Addon] ========================================\n`);
     console.log(`[Addon] ⚡ Optimisations activées:`);
-    console.log(`[Addon]   - Proxy pour OpenSubtitles (lazy download)`);
+    console.log(`[Addon]   - Proxy pour OpenSubtitles (lazy download), YIFY, Podnapisi et SubDL (extraction zip), Addic7ed (Referer), conversion UTF-8 et SRT/WebVTT`);
     console.log(`[Addon]   - Cache des liens OpenSubtitles (TTL 3h)`);
-    console.log(`[Addon]   - Cache des recherches sous-titres (TTL ${SUBTITLES_CACHE_TTL_HOURS}h)`);
+    console.log(`[Addon]   - Stockage disque des fichiers téléchargés (max ${SUBTITLE_STORE_MAX_MB} Mo, LRU)`);
+    console.log(`[Addon]   - Cache des recherches sous-titres (TTL ${SUBTITLES_CACHE_TTL_HOURS}h, persistant, LRU)`);
     console.log(`[Addon]   - Dédup in-flight (évite les appels simultanés)`);
-    console.log(`[Addon]   - Max 5 résultats par source`);
+    console.log(`[Addon]   - Max par langue: ${PROVIDERS.map(entry => `${entry.name} ${entry.maxPerLanguage}`).join(', ')}`);
     console.log(`[Addon]   - File matching (hash + release name scoring)`);
 
+    if (animeMapping) {
+        console.log(`[Addon]   - IDs anime (${ANIME_ID_PREFIXES.join(' ')}) convertis en IDs IMDB`);
+    }
+    console.log(`[Addon]   - IDs TMDB (OpenSubtitles, SubDL)${TMDB_API_KEY ? ' convertis en IDs IMDB pour les autres sources' : ' (TMDB_API_KEY absente : pas de conversion IMDB)'}`);
+
     if (metaCache) {
         console.log(`[Addon]   - Info dispo sous-titres sur fiche (cache ${CACHE_TTL_DAYS}j)`);
-        if (BADGE_IN_TITLE) {
+        if (DEFAULT_CONFIG.badge !== 'none') {
             console.log(`[Addon]   - Badge 🇫🇷 dans les métadonnées si sous-titres dispo`);
         }
         console.log(`[Addon] Cache meta: ${metaCache.stats().total} entrée(s)`);
@@ -842,6 +1397,12 @@ app.listen(PORT, () => {
 // Gestion de l'arrêt propre
 process.on('SIGTERM', () => {
     console.log('[Addon] Arrêt demandé...');
+    fileStore.stop();
+    subtitlesCache.stop();
+    tmdbMapping.stop();
+    if (animeMapping) {
+        animeMapping.stop();
+    }
     if (metaCache) {
         metaCache.stop();
     }
@@ -850,6 +1411,12 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
     console.log('\n[Addon] Interruption...');
+    fileStore.stop();
+    subtitlesCache.stop();
+    tmdbMapping.stop();
+    if (animeMapping) {
+        animeMapping.stop();
+    }
     if (metaCache) {
         metaCache.stop();
     }
@@ -0,0 +1,325 @@
+/**
+ * Client Addic7ed
+ *
+ * Récupère les sous-titres d'épisodes de séries depuis Addic7ed (aucune clé requise).
+ * Le site n'a pas d'API ni de recherche par ID IMDB : le nom de la série est
+ * résolu via Cinemeta, puis la page de l'épisode est parsée.
+ * Addic7ed exige un Referer pour télécharger, les fichiers passent donc par le proxy.
+ *
+ * @module lib/addic7ed
+ */
+
+const fetch = require('node-fetch');
+const { DEFAULT_LANGUAGE, toStremioLang, fromEnglishName, limitPerLanguage } = require('./languages');
+const { RateLimitError } = require('./errors');
+const { matchesSubtitleMode, isForcedRelease } = require('./subtitle-modes');
+const { normalizeSignals } = require('./community');
+
+const BASE_URL = 'https://www.addic7ed.com';
+
+/** Nombre maximum de sous-titres à retourner par langue */
+const MAX_SUBTITLES = 5;
+
+/** Timeout des requêtes en ms */
+const REQUEST_TIMEOUT = 10000;
+
+/** User-Agent navigateur (le site refuse les clients inconnus) */
+const USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+/** Identifiants de langue Addic7ed (utilisés dans l'URL des épisodes) */
+const LANGUAGE_IDS = {
+    fr: 8,
+    en: 1,
+    es: 5,
+    de: 11,
+    it: 7,
+    pt: 10,
+    nl: 17,
+    pl: 21,
+    ro: 26,
+    ru: 19,
+    tr: 16,
+    ar: 38
+};
+
+/**
+ * Décode les entités HTML courantes
+ *
+ * @param {string} text - Texte HTML
+ * @returns {string} Texte décodé
+ * @private
+ */
+function decodeEntities(text) {
+    return text
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;/g, "'")
+        .replace(/&nbsp;/g, ' ');
+}
+
+/**
+ * Classe client pour Addic7ed
+ * Implémente le contrat des sources (voir lib/providers)
+ */
+class Addic7edClient {
+    /**
+     * Crée une instance du client Addic7ed
+     *
+     * @param {Object} options - Dépendances
+     * @param {CinemetaClient} options.cinemeta - Client Cinemeta (résolution du nom de série)
+     */
+    constructor({ cinemeta }) {
+        if (!cinemeta) {
+            throw new Error('Client Cinemeta requis');
+        }
+
+        this.cinemeta = cinemeta;
+        this.showNames = new Map(); // imdbId -> nom de la série
+    }
+
+    /**
+     * Effectue une requête HTTP vers Addic7ed
+     *
+     * @param {string} path - Chemin (ex: /serie/Show/1/2/8)
+     * @returns {Promise<Response|null>} Réponse ou null si 404
+     * @throws {RateLimitError} Si rate limité ou quota de téléchargement atteint
+     * @private
+     */
+    async _fetch(path) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+        try {
+            const response = await fetch(`${BASE_URL}${path}`, {
+                method: 'GET',
+                headers: {
+                    'User-Agent': USER_AGENT,
+                    'Referer': `${BASE_URL}/`
+                },
+                signal: controller.signal
+            });
+
+            if (response.status === 404) {
+                return null;
+            }
+
+            // Addic7ed redirige vers downloadexceeded.php quand le quota journalier est atteint
+            if (response.status === 429 || response.url.includes('downloadexceeded')) {
+                console.error('[Addic7ed] ⚠️ Rate limit / quota de téléchargement atteint');
+                throw new RateLimitError(response.headers.get('Retry-After'));
+            }
+
+            if (!response.ok) {
+                throw new Error(`Erreur Addic7ed: ${response.status}`);
+            }
+
+            return response;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Résout le nom de la série à partir de son ID IMDB (via Cinemeta)
+     *
+     * @param {string} imdbId - ID IMDB de la série
+     * @returns {Promise<string|null>} Nom de la série
+     * @private
+     */
+    async _getShowName(imdbId) {
+        if (this.showNames.has(imdbId)) {
+            return this.showNames.get(imdbId);
+        }
+
+        const meta = await this.cinemeta.getMeta('series', imdbId);
+        const name = meta && meta.name ? meta.name : null;
+
+        if (name) {
+            this.showNames.set(imdbId, name);
+        }
+        return name;
+    }
+
+    /**
+     * Parse la page d'un épisode
+     *
+     * Chaque bloc "Version XXX" correspond à une release ; il contient une ligne par
+     * langue avec le lien de téléchargement, les indicateurs HI / corrigé et le nombre de téléchargements.
+     *
+     * @param {string} html - Page HTML
+     * @returns {Array} Sous-titres { fileId, language, version, hi, corrected, downloads }
+     * @private
+     */
+    _parseEpisodePage(html) {
+        const subtitles = [];
+        const blocks = html.split(/class="NewsTitle"/i).slice(1);
+
+        for (const block of blocks) {
+            const versionMatch = block.match(/Version\s+([^,<]+)/i);
+            if (!versionMatch) continue;
+
+            const version = decodeEntities(versionMatch[1]).trim();
+            const rows = block.split(/class="language"/i).slice(1);
+
+            for (const row of rows) {
+                const langMatch = row.match(/^>\s*([^<]+)/);
+                const linkMatch = row.match(/href="\/((?:original|updated)\/[\d/]+)"/i);
+                const statusMatch = row.match(/<b>\s*([^<]+?)\s*<\/b>/i);
+                const downloadsMatch = row.match(/(\d+)\s+Downloads/i);
+
+                if (!langMatch || !linkMatch) continue;
+
+                // Traductions en cours ("45.12% Completed")
+                if (statusMatch && statusMatch[1] !== 'Completed') continue;
+
+                // "French (Canadian)" -> French
+                const language = fromEnglishName(decodeEntities(langMatch[1]).replace(/\(.*\)/, ''));
+                if (!language) continue;
+
+                subtitles.push({
+                    fileId: linkMatch[1].replace(/\//g, '-'),
+                    language,
+                    version,
+                    hi: /title="Hearing Impaired"/i.test(row),
+                    corrected: /title="Corrected"/i.test(row),
+                    downloads: downloadsMatch ? parseInt(downloadsMatch[1], 10) : null
+                });
+            }
+        }
+
+        return subtitles;
+    }
+
+    /**
+     * Recherche des sous-titres pour un épisode
+     *
+     * @param {Object} options - Options de recherche
+     * @param {string} options.imdbId - ID IMDB de la série
+     * @param {string} options.type - Type de contenu (seul 'series' est supporté)
+     * @param {number} options.season - Numéro de saison
+     * @param {number} options.episode - Numéro d'épisode
+     * @param {Array<string>} [options.languages] - Codes ISO 639-1 par ordre de priorité (défaut: fr)
+     * @param {string} [options.subtitleMode] - Préférence HI / forcés (lib/subtitle-modes)
+     * @returns {Promise<Array>} Liste des sous-titres trouvés
+     */
+    async searchSubtitles({ imdbId, type, season, episode, languages = [DEFAULT_LANGUAGE], subtitleMode = 'all' }) {
+        if (type !== 'series' || !season || !episode) {
+            return [];
+        }
+
+        try {
+            const showName = await this._getShowName(imdbId);
+            if (!showName) {
+                console.log(`[Addic7ed] Nom de série introuvable pour ${imdbId}`);
+                return [];
+            }
+
+            console.log(`[Addic7ed] Recherche sous-titres ${languages.join(',')} pour "${showName}" S${season}E${episode}`);
+
+            // Une seule langue : filtre côté site, sinon toutes les langues (0)
+            const languageId = languages.length === 1 ? (LANGUAGE_IDS[languages[0]] || 0) : 0;
+            const response = await this._fetch(`/serie/${encodeURIComponent(showName)}/${season}/${episode}/${languageId}`);
+
+            if (!response) {
+                console.log(`[Addic7ed] Épisode introuvable pour "${showName}"`);
+                return [];
+            }
+
+            const subtitles = this._parseEpisodePage(await response.text())
+                .filter(sub => languages.includes(sub.language))
+                .filter(sub => matchesSubtitleMode({ hi: sub.hi, forced: isForcedRelease(sub.version) }, subtitleMode))
+                // Versions corrigées en premier
+                .sort((a, b) => Number(b.corrected) - Number(a.corrected))
+                .map(sub => ({ ...sub, showName, season, episode }));
+
+            console.log(`[Addic7ed] ${subtitles.length} sous-titre(s) trouvé(s)`);
+
+            return limitPerLanguage(subtitles, sub => sub.language, MAX_SUBTITLES);
+        } catch (error) {
+            console.error(`[Addic7ed] Erreur recherche ${imdbId}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Vérifie la disponibilité de sous-titres (fonctionnalité meta)
+     * Addic7ed ne propose pas de vue par série : la disponibilité n'est pas vérifiable.
+     *
+     * @returns {Promise<null>} Toujours null (info non disponible)
+     */
+    async checkAvailability() {
+        return null;
+    }
+
+    /**
+     * Télécharge un sous-titre pour le proxy (avec Referer)
+     *
+     * @param {string} fileId - Chemin de téléchargement encodé (ex: original-12345-0)
+     * @returns {Promise<Object|null>} { content, filename } ou null si introuvable
+     * @throws {RateLimitError} Si le quota de téléchargement est atteint
+     */
+    async resolveDownload(fileId) {
+        const path = `/${fileId.replace(/-/g, '/')}`;
+        console.log(`[Addic7ed] Téléchargement ${path}`);
+
+        const response = await this._fetch(path);
+        if (!response) {
+            return null;
+        }
+
+        return { content: await response.buffer(), filename: `addic7ed-${fileId}.srt` };
+    }
+
+    /**
+     * Retourne l'état du client pour /health
+     *
+     * @returns {Object} Statistiques
+     */
+    health() {
+        return { cachedShowNames: this.showNames.size };
+    }
+
+    /**
+     * Formate les sous-titres Addic7ed pour Stremio
+     * Chaque résultat porte son groupe de release et ses indicateurs HI / corrigé
+     * pour le scoring (calculateMatchScore).
+     *
+     * @param {Array} subtitles - Liste des sous-titres Addic7ed
+     * @param {string} addonUrl - URL publique de l'addon pour le proxy
+     * @returns {Array} Liste formatée pour Stremio
+     */
+    formatForStremio(subtitles, addonUrl) {
+        const formatted = subtitles.map(sub => {
+            const episodeTag = `S${String(sub.season).padStart(2, '0')}E${String(sub.episode).padStart(2, '0')}`;
+            const showSlug = sub.showName.replace(/[^A-Za-z0-9]+/g, '.').replace(/^\.+|\.+$/g, '');
+
+            // "720p.WEB.h264-TBS" est déjà un nom de release, "KILLERS" n'est qu'un groupe
+            const releaseName = sub.version.includes('-')
+                ? `${showSlug}.${episodeTag}.${sub.version}`
+                : `${showSlug}.${episodeTag}-${sub.version}`;
+            const groupMatch = sub.version.match(/([A-Za-z0-9]+)$/);
+
+            const flags = `${sub.corrected ? ' [Corrigé]' : ''}${sub.hi ? ' [HI]' : ''}`;
+
+            return {
+                id: `[Addic7ed] ${sub.version}${flags}`,
+                url: `${addonUrl}/proxy/addic7ed/${sub.fileId}`,
+                lang: toStremioLang(sub.language),
+                // Métadonnées internes pour le scoring
+                _release: releaseName,
+                _group: groupMatch ? groupMatch[1].toUpperCase() : null,
+                _hi: sub.hi,
+                _corrected: sub.corrected,
+                _community: normalizeSignals({ downloads: sub.downloads })
+            };
+        });
+
+        console.log(`[Addic7ed] ${formatted.length} sous-titre(s) formaté(s) pour Stremio (via proxy)`);
+        return formatted;
+    }
+}
+
+/** Nombre maximum de résultats par langue (affiché au démarrage) */
+Addic7edClient.MAX_SUBTITLES = MAX_SUBTITLES;
+
+module.exports = Addic7edClient;
@@ -0,0 +1,232 @@
+/**
+ * Alignement automatique d'un sous-titre sur une piste de référence
+ *
+ * Les résultats OpenSubtitles trouvés par hash sont synchronisés avec la vidéo,
+ * mais souvent en anglais ; les sous-titres français proviennent d'une autre release.
+ * Ce module compare les deux pistes par densité de dialogues (moments où une cue
+ * est affichée) et calcule la correction t' = t × scale + shift :
+ * - scale couvre les écarts de frame rate (PAL / NTSC) et la dérive
+ * - shift couvre le décalage (intro, logos différents selon la release)
+ *
+ * @module lib/alignment
+ */
+
+/** Résolution de la comparaison en ms */
+const RESOLUTION = 100;
+
+/** Décalage maximum recherché en ms */
+const MAX_OFFSET = 120000;
+
+/** Fenêtre de recherche locale pour la dérive en ms */
+const DRIFT_WINDOW = 5000;
+
+/** Facteurs testés : identique et conversions de frame rate courantes */
+const CANDIDATE_SCALES = [1, 25 / 23.976, 23.976 / 25, 24 / 23.976, 23.976 / 24, 25 / 24, 24 / 25];
+
+/** Nombre minimum de cues pour tenter un alignement */
+const MIN_CUES = 10;
+
+/**
+ * Nombre maximum de cues par piste
+ * La recherche (facteurs × décalages × cues) est synchrone : au-delà, l'alignement est abandonné.
+ */
+const MAX_CUES = 3000;
+
+/** Durée maximum d'une piste en ms (6h) : au-delà, timestamps aberrants */
+const MAX_TIMELINE = 6 * 60 * 60 * 1000;
+
+/**
+ * Confiance minimale pour accepter l'alignement
+ * (recouvrement au-delà du hasard : 0 = aléatoire, 1 = parfait)
+ */
+const MIN_CONFIDENCE = 0.4;
+
+/**
+ * Construit les sommes cumulées de l'activité de la référence
+ * (prefix[i] = nombre de cases actives avant la case i)
+ *
+ * @param {Array<Object>} cues - Cues de référence
+ * @param {number} bins - Nombre de cases
+ * @returns {Int32Array} Sommes cumulées (bins + 1 valeurs)
+ * @private
+ */
+function buildPrefix(cues, bins) {
+    const active = new Uint8Array(bins);
+
+    for (const cue of cues) {
+        const from = Math.max(0, Math.floor(cue.start / RESOLUTION));
+        const to = Math.min(bins, Math.ceil(cue.end / RESOLUTION));
+        active.fill(1, from, to);
+    }
+
+    const prefix = new Int32Array(bins + 1);
+    for (let i = 0; i < bins; i++) {
+        prefix[i + 1] = prefix[i] + active[i];
+    }
+    return prefix;
+}
+
+/**
+ * Convertit des cues en intervalles de cases pour un facteur donné
+ *
+ * @param {Array<Object>} cues - Cues du candidat
+ * @param {number} scale - Facteur appliqué aux timings
+ * @returns {Array<Array<number>>} Intervalles [début, fin[
+ * @private
+ */
+function toIntervals(cues, scale) {
+    return cues.map(cue => [Math.round(cue.start * scale / RESOLUTION), Math.round(cue.end * scale / RESOLUTION)]);
+}
+
+/**
+ * Calcule le recouvrement (en cases) entre les intervalles décalés et la référence
+ *
+ * @param {Array<Array<number>>} intervals - Intervalles du candidat
+ * @param {Int32Array} prefix - Sommes cumulées de la référence
+ * @param {number} lag - Décalage en cases
+ * @returns {number} Nombre de cases en recouvrement
+ * @private
+ */
+function overlap(intervals, prefix, lag) {
+    const max = prefix.length - 1;
+    let total = 0;
+
+    for (const [start, end] of intervals) {
+        const from = Math.min(max, Math.max(0, start + lag));
+        const to = Math.min(max, Math.max(0, end + lag));
+        total += prefix[to] - prefix[from];
+    }
+    return total;
+}
+
+/**
+ * Cherche le décalage qui maximise le recouvrement
+ *
+ * @param {Array<Array<number>>} intervals - Intervalles du candidat
+ * @param {Int32Array} prefix - Sommes cumulées de la référence
+ * @param {number} minLag - Décalage minimum (cases)
+ * @param {number} maxLag - Décalage maximum (cases)
+ * @returns {Object} { lag, score }
+ * @private
+ */
+function bestLag(intervals, prefix, minLag, maxLag) {
+    let best = { lag: 0, score: -1 };
+
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        const score = overlap(intervals, prefix, lag);
+        // À score égal, le plus petit décalage absolu l'emporte
+        if (score > best.score || (score === best.score && Math.abs(lag) < Math.abs(best.lag))) {
+            best = { lag, score };
+        }
+    }
+    return best;
+}
+
+/**
+ * Vérifie qu'une piste peut être alignée sans travail ni allocation excessifs
+ *
+ * @param {Array<Object>} cues - Cues de la piste
+ * @param {string} label - Nom de la piste (logs)
+ * @returns {boolean} true si la piste est exploitable
+ * @private
+ */
+function isUsable(cues, label) {
+    if (cues.length < MIN_CUES) {
+        return false;
+    }
+
+    if (cues.length > MAX_CUES) {
+        console.warn(`[Alignment] ${label} ignorée: ${cues.length} cues (max ${MAX_CUES})`);
+        return false;
+    }
+
+    if (cues.some(cue => !(cue.end <= MAX_TIMELINE))) {
+        console.warn(`[Alignment] ${label} ignorée: timestamps au-delà de ${MAX_TIMELINE / 3600000}h`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Aligne un sous-titre candidat sur une piste de référence synchronisée
+ *
+ * 1. Pour chaque facteur de frame rate, recherche du meilleur décalage global
+ * 2. Correction de dérive : décalage local sur chaque moitié du film,
+ *    droite passant par les deux points
+ *
+ * @param {Array<Object>} candidate - Cues à recaler ({ start, end } en ms)
+ * @param {Array<Object>} reference - Cues de référence (synchronisées avec la vidéo)
+ * @returns {Object|null} { scale, shift (ms), confidence (0-1) } ou null si pas d'alignement fiable
+ *   (ou piste trop longue : plus de MAX_CUES cues ou timestamps au-delà de 6h)
+ */
+function alignCues(candidate, reference) {
+    // Pistes bornées avant d'allouer la chronologie de la référence
+    if (!isUsable(candidate, 'Piste candidate') || !isUsable(reference, 'Piste de référence')) {
+        return null;
+    }
+
+    const maxLag = Math.round(MAX_OFFSET / RESOLUTION);
+    const referenceStart = Math.floor(Math.min(...reference.map(cue => cue.start)) / RESOLUTION);
+    const referenceEnd = Math.ceil(Math.max(...reference.map(cue => cue.end)) / RESOLUTION);
+    const prefix = buildPrefix(reference, referenceEnd + maxLag + 1);
+
+    // Densité de dialogues de la référence : recouvrement obtenu par hasard
+    const density = (prefix[referenceEnd] - prefix[referenceStart]) / Math.max(1, referenceEnd - referenceStart);
+    const toConfidence = (score, total) => total > 0 ? (score / total - density) / (1 - density) : 0;
+
+    // Étape 1 : facteur + décalage global
+    let best = null;
+    for (const scale of CANDIDATE_SCALES) {
+        const intervals = toIntervals(candidate, scale);
+        const total = intervals.reduce((sum, [start, end]) => sum + (end - start), 0);
+        const { lag, score } = bestLag(intervals, prefix, -maxLag, maxLag);
+        const confidence = toConfidence(score, total);
+
+        if (!best || confidence > best.confidence) {
+            best = { scale, shift: lag * RESOLUTION, confidence };
+        }
+    }
+
+    // Étape 2 : dérive résiduelle (décalage local de chaque moitié)
+    const half = Math.floor(candidate.length / 2);
+    const window = Math.round(DRIFT_WINDOW / RESOLUTION);
+    const baseLag = Math.round(best.shift / RESOLUTION);
+    const anchors = [candidate.slice(0, half), candidate.slice(half)].map(part => {
+        const intervals = toIntervals(part, best.scale);
+        const { lag } = bestLag(intervals, prefix, baseLag - window, baseLag + window);
+        const center = (part[0].start + part[part.length - 1].end) / 2 * best.scale;
+        return { center, offset: lag * RESOLUTION };
+    });
+
+    const [first, second] = anchors;
+    if (second.center > first.center && first.offset !== second.offset) {
+        const drift = (second.offset - first.offset) / (second.center - first.center);
+        const refined = {
+            scale: best.scale * (1 + drift),
+            shift: first.offset - drift * first.center
+        };
+
+        const intervals = toIntervals(candidate, refined.scale);
+        const total = intervals.reduce((sum, [start, end]) => sum + (end - start), 0);
+        const confidence = toConfidence(overlap(intervals, prefix, Math.round(refined.shift / RESOLUTION)), total);
+
+        if (confidence > best.confidence) {
+            best = { ...refined, confidence };
+        }
+    }
+
+    if (best.confidence < MIN_CONFIDENCE) {
+        return null;
+    }
+
+    return {
+        scale: best.scale,
+        shift: Math.round(best.shift),
+        confidence: Math.round(best.confidence * 100) / 100
+    };
+}
+
+module.exports = {
+    MIN_CONFIDENCE,
+    alignCues
+};
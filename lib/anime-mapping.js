@@ -0,0 +1,298 @@
+/**
+ * Correspondance des identifiants anime (kitsu, MyAnimeList, AniList, AniDB) vers IMDB
+ *
+ * Les catalogues anime de Stremio utilisent des IDs "kitsu:12345:5" (entrée Kitsu
+ * puis numéro d'épisode dans cette entrée). Les sources de sous-titres ne connaissent
+ * que les IDs IMDB : chaque entrée est convertie en ID IMDB + saison (et décalage
+ * d'épisode quand il est connu) à partir d'un jeu de données communautaire
+ * (Fribb/anime-lists), conservé sur disque et rafraîchi périodiquement.
+ *
+ * @module lib/anime-mapping
+ */
+
+const path = require('path');
+const fetch = require('node-fetch');
+const JsonStorage = require('./json-storage');
+
+/** Jeu de données par défaut (un objet par anime, avec ses IDs sur chaque site) */
+const DEFAULT_MAPPING_URL = 'https://raw.githubusercontent.com/Fribb/anime-lists/master/anime-list-full.json';
+
+/** Intervalle de rafraîchissement du jeu de données (7 jours en ms) */
+const REFRESH_INTERVAL = 7 * 24 * 60 * 60 * 1000;
+
+/** Timeout du téléchargement en ms (fichier de plusieurs Mo) */
+const DOWNLOAD_TIMEOUT = 60000;
+
+/** Version du format indexé sur disque (un fichier d'une autre version est retéléchargé) */
+const MAPPING_VERSION = 2;
+
+/** Préfixes d'ID acceptés -> champ correspondant du jeu de données */
+const ANIME_ID_FIELDS = {
+    kitsu: 'kitsu_id',
+    mal: 'mal_id',
+    anilist: 'anilist_id',
+    anidb: 'anidb_id'
+};
+
+/** Préfixes d'ID anime (manifest idPrefixes) */
+const ANIME_ID_PREFIXES = Object.keys(ANIME_ID_FIELDS).map(prefix => `${prefix}:`);
+
+/**
+ * Indique si un ID Stremio est un ID anime (ex: kitsu:12345:5)
+ *
+ * @param {string} id - ID Stremio
+ * @returns {boolean}
+ */
+function isAnimeId(id) {
+    return typeof id === 'string' && ANIME_ID_PREFIXES.some(prefix => id.startsWith(prefix));
+}
+
+/**
+ * Classe de correspondance des IDs anime avec rafraîchissement périodique
+ */
+class AnimeMapping {
+    /**
+     * Crée une instance de la correspondance
+     *
+     * @param {Object} options - Options de configuration
+     * @param {string} [options.dataDir] - Répertoire de stockage du jeu de données
+     * @param {string} [options.url] - URL du jeu de données
+     * @param {number} [options.refreshInterval] - Intervalle de rafraîchissement en ms
+     */
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || path.join(__dirname, '..', 'data');
+        this.url = options.url || DEFAULT_MAPPING_URL;
+        this.refreshInterval = options.refreshInterval || REFRESH_INTERVAL;
+        this.entries = new Map(); // "kitsu:12345" -> { imdbId, season, episodeOffset, movie }
+        this.updatedAt = 0;
+        this.pendingRefresh = null;
+        this.lastError = null;
+        this.storage = new JsonStorage({
+            filePath: path.join(this.dataDir, 'anime-mapping.json'),
+            label: 'AnimeMapping',
+            serialize: () => ({ version: MAPPING_VERSION, updatedAt: this.updatedAt, entries: Object.fromEntries(this.entries) }),
+            count: data => Object.keys(data.entries).length
+        });
+
+        // Charge le jeu de données existant
+        this.load();
+    }
+
+    /**
+     * Charge le jeu de données depuis le disque
+     */
+    load() {
+        const content = this.storage.load();
+        if (!content || typeof content !== 'object') {
+            return;
+        }
+
+        this.entries = new Map(Object.entries(content.entries || {}));
+        // Ancien format (sans décalage d'épisode) : utilisé jusqu'au rafraîchissement immédiat
+        this.updatedAt = content.version === MAPPING_VERSION ? content.updatedAt || 0 : 0;
+        console.log(`[AnimeMapping] Chargé: ${this.entries.size} ID(s) anime`);
+    }
+
+    /**
+     * Démarre le rafraîchissement périodique (immédiat si le jeu de données est absent ou périmé)
+     */
+    start() {
+        if (Date.now() - this.updatedAt > this.refreshInterval) {
+            this.refresh();
+        }
+        this.refreshTimer = setInterval(() => this.refresh(), this.refreshInterval);
+    }
+
+    /**
+     * Télécharge le jeu de données et remplace la correspondance
+     * Un seul téléchargement à la fois ; en cas d'échec, l'ancienne correspondance est conservée.
+     *
+     * @returns {Promise<boolean>} Succès du rafraîchissement
+     */
+    refresh() {
+        if (!this.pendingRefresh) {
+            this.pendingRefresh = this._download().finally(() => {
+                this.pendingRefresh = null;
+            });
+        }
+        return this.pendingRefresh;
+    }
+
+    /**
+     * Télécharge et indexe le jeu de données
+     *
+     * @returns {Promise<boolean>} Succès
+     * @private
+     */
+    async _download() {
+        console.log(`[AnimeMapping] Téléchargement du jeu de données: ${this.url}`);
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT);
+
+        try {
+            const response = await fetch(this.url, {
+                method: 'GET',
+                headers: { 'Accept': 'application/json' },
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const entries = this._index(await response.json());
+            if (entries.size === 0) {
+                throw new Error('jeu de données vide ou inattendu');
+            }
+
+            this.entries = entries;
+            this.updatedAt = Date.now();
+            this.lastError = null;
+            this.save();
+
+            console.log(`[AnimeMapping] Rafraîchi: ${entries.size} ID(s) anime`);
+            return true;
+        } catch (error) {
+            this.lastError = error.name === 'AbortError' ? 'Timeout' : error.message;
+            console.error(`[AnimeMapping] Erreur de rafraîchissement: ${this.lastError}`);
+            return false;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Indexe le jeu de données par ID anime (seules les entrées liées à IMDB sont gardées)
+     *
+     * Saison TVDB et décalage d'épisode : Fribb/anime-lists ne fournit que la saison (season.tvdb),
+     * les jeux de données au format anime_ids (Kometa) fournissent aussi le décalage (tvdb_season,
+     * tvdb_epoffset). Plusieurs entrées sur la même saison sans décalage connu (saison en deux
+     * parties, saison découpée) : la saison est ignorée plutôt que devinée (numérotation absolue).
+     *
+     * @param {Array|Object} data - Entrées du jeu de données (tableau, ou objet indexé par ID AniDB)
+     * @returns {Map} "kitsu:12345" -> { imdbId, season, episodeOffset, movie }
+     * @private
+     */
+    _index(data) {
+        const entries = new Map();
+        if (!data || typeof data !== 'object') {
+            return entries;
+        }
+
+        const items = Array.isArray(data)
+            ? data
+            : Object.entries(data).map(([anidbId, item]) => ({ anidb_id: anidbId, ...item }));
+
+        const mappings = [];
+        const seasonCounts = new Map();
+
+        for (const item of items) {
+            if (!item) continue;
+
+            const imdbMatch = String(item.imdb_id || '').match(/tt\d+/);
+            if (!imdbMatch) continue;
+
+            const tvdbSeason = item.season ? item.season.tvdb : item.tvdb_season;
+            const season = Number.isInteger(tvdbSeason) && tvdbSeason > 0 ? tvdbSeason : null;
+            const episodeOffset = season && Number.isInteger(item.tvdb_epoffset) && item.tvdb_epoffset >= 0
+                ? item.tvdb_epoffset
+                : null;
+            const mapping = { imdbId: imdbMatch[0], season, episodeOffset, movie: item.type === 'MOVIE' };
+
+            if (season && !mapping.movie) {
+                const seasonKey = `${mapping.imdbId}:${season}`;
+                seasonCounts.set(seasonKey, (seasonCounts.get(seasonKey) || 0) + 1);
+            }
+            mappings.push({ item, mapping });
+        }
+
+        for (const { item, mapping } of mappings) {
+            if (mapping.episodeOffset === null && seasonCounts.get(`${mapping.imdbId}:${mapping.season}`) > 1) {
+                mapping.season = null;
+            }
+
+            for (const [prefix, field] of Object.entries(ANIME_ID_FIELDS)) {
+                if (item[field]) entries.set(`${prefix}:${item[field]}`, mapping);
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Sauvegarde le jeu de données indexé sur le disque
+     *
+     * @returns {boolean} Succès de la sauvegarde
+     */
+    save() {
+        this.storage.markDirty();
+        return this.storage.save();
+    }
+
+    /**
+     * Convertit un ID anime Stremio en ID IMDB + épisode
+     *
+     * La numérotation de l'entrée (kitsu:12345:5 -> épisode 5) est reportée sur la saison
+     * de l'entrée, décalage compris (seconde partie d'une saison : épisode 5 + 12 -> S01E17).
+     * Pour une première saison, l'épisode est aussi le numéro absolu utilisé par les releases
+     * anime ("Titre - 05"). Sans saison fiable, seul le numéro absolu est renseigné.
+     *
+     * @param {string} id - ID Stremio (ex: kitsu:12345:5 ou kitsu:12345)
+     * @returns {Object|null} { imdbId, season, episode, absoluteEpisode, movie } ou null si inconnu
+     */
+    resolve(id) {
+        const [prefix, animeId, episodePart] = id.split(':');
+        const mapping = this.entries.get(`${prefix}:${animeId}`);
+
+        if (!mapping) {
+            return null;
+        }
+
+        const number = parseInt(episodePart, 10) || null;
+        const result = { imdbId: mapping.imdbId, season: null, episode: null, absoluteEpisode: null, movie: mapping.movie };
+
+        if (!number) {
+            return result;
+        }
+
+        if (!mapping.season) {
+            result.absoluteEpisode = number;
+            return result;
+        }
+
+        result.season = mapping.season;
+        result.episode = number + (mapping.episodeOffset || 0);
+        result.absoluteEpisode = mapping.season === 1 ? result.episode : null;
+        return result;
+    }
+
+    /**
+     * Retourne l'état de la correspondance pour /health
+     *
+     * @returns {Object} Statistiques
+     */
+    stats() {
+        return {
+            entries: this.entries.size,
+            updatedAt: this.updatedAt ? new Date(this.updatedAt).toISOString() : null,
+            refreshing: !!this.pendingRefresh,
+            lastError: this.lastError
+        };
+    }
+
+    /**
+     * Arrête le rafraîchissement périodique (sauvegarde en attente écrite)
+     */
+    stop() {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+        }
+        this.storage.stop();
+    }
+}
+
+module.exports = {
+    ANIME_ID_PREFIXES,
+    isAnimeId,
+    AnimeMapping
+};
@@ -0,0 +1,139 @@
+/**
+ * Extraction des sous-titres depuis les archives zip
+ *
+ * Plusieurs sources (YIFY, Podnapisi, SubDL) livrent les sous-titres dans des archives.
+ * Ce module choisit le bon fichier dans l'archive pour le servir via le proxy
+ * (y compris l'épisode demandé dans un pack de saison).
+ *
+ * @module lib/archive
+ */
+
+const AdmZip = require('adm-zip');
+
+/** Extensions de fichiers de sous-titres reconnues */
+const SUBTITLE_EXTENSIONS = ['.srt', '.ass', '.ssa', '.sub', '.smi', '.vtt'];
+
+/** Content-Type servi par le proxy selon l'extension */
+const CONTENT_TYPES = {
+    '.srt': 'application/x-subrip',
+    '.vtt': 'text/vtt',
+    '.ass': 'text/x-ssa',
+    '.ssa': 'text/x-ssa'
+};
+
+/** Signature d'un fichier zip ("PK\x03\x04") */
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+/** Taille décompressée maximum d'un fichier de sous-titres (protection contre les zip bombs) */
+const MAX_ENTRY_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Vérifie si un buffer est une archive zip
+ *
+ * @param {Buffer} buffer - Contenu téléchargé
+ * @returns {boolean}
+ */
+function isZip(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.subarray(0, 4).equals(ZIP_SIGNATURE);
+}
+
+/**
+ * Retourne l'extension (avec le point) d'un nom de fichier
+ *
+ * @param {string} name - Nom de fichier
+ * @returns {string} Extension en minuscules (ex: .srt)
+ */
+function getExtension(name) {
+    const match = name.toLowerCase().match(/\.[a-z0-9]+$/);
+    return match ? match[0] : '';
+}
+
+/**
+ * Retourne le Content-Type d'un fichier de sous-titres
+ *
+ * @param {string} name - Nom de fichier
+ * @returns {string} Content-Type (text/plain par défaut)
+ */
+function getContentType(name) {
+    return CONTENT_TYPES[getExtension(name || '')] || 'text/plain';
+}
+
+/**
+ * Vérifie si un nom de fichier correspond à un épisode (S01E02, s1e2, 1x02...)
+ *
+ * @param {string} name - Nom de fichier
+ * @param {number} season - Numéro de saison
+ * @param {number} episode - Numéro d'épisode
+ * @returns {boolean}
+ */
+function matchesEpisode(name, season, episode) {
+    const pattern = new RegExp(`(?:s0*${season}[ ._-]*e0*${episode}|(?:^|[^0-9])0*${season}x0*${episode})(?![0-9])`, 'i');
+    return pattern.test(name);
+}
+
+/**
+ * Extrait le fichier de sous-titres le plus pertinent d'une archive zip
+ *
+ * Pour un épisode, le fichier dont le nom correspond à SxxEyy est retenu ;
+ * une archive sans correspondance n'est acceptée que si elle ne contient qu'un fichier.
+ * Sinon (films), le plus gros fichier de sous-titres est retenu.
+ * Les fichiers de plus de 5 Mo une fois décompressés sont ignorés.
+ *
+ * @param {Buffer} buffer - Archive zip
+ * @param {Object} [target] - Épisode recherché
+ * @param {number} [target.season] - Numéro de saison
+ * @param {number} [target.episode] - Numéro d'épisode
+ * @returns {Object|null} { name, content: Buffer } ou null si aucun sous-titre
+ */
+function extractSubtitle(buffer, { season, episode } = {}) {
+    const zip = new AdmZip(buffer);
+
+    const entries = zip.getEntries()
+        .filter(entry => !entry.isDirectory)
+        .filter(entry => SUBTITLE_EXTENSIONS.includes(getExtension(entry.entryName)))
+        // Ignore les fichiers parasites de macOS (__MACOSX/._fichier.srt)
+        .filter(entry => !entry.entryName.includes('__MACOSX'))
+        // Un sous-titre ne dépasse jamais quelques centaines de Ko : pas de décompression en mémoire au-delà
+        .filter(entry => {
+            if (entry.header.size > MAX_ENTRY_SIZE) {
+                console.warn(`[Archive] Fichier ignoré (${Math.round(entry.header.size / 1024 / 1024)} Mo décompressé): ${entry.entryName}`);
+                return false;
+            }
+            return true;
+        });
+
+    if (entries.length === 0) {
+        return null;
+    }
+
+    let candidates = entries;
+
+    if (season && episode) {
+        candidates = entries.filter(entry => matchesEpisode(entry.entryName.split('/').pop(), season, episode));
+
+        // Pack de saison sans le bon épisode : ne pas servir un autre épisode
+        if (candidates.length === 0 && entries.length === 1) {
+            candidates = entries;
+        }
+        if (candidates.length === 0) {
+            return null;
+        }
+    }
+
+    candidates.sort((a, b) => b.header.size - a.header.size);
+    const chosen = candidates[0];
+
+    return {
+        name: chosen.entryName.split('/').pop(),
+        content: chosen.getData()
+    };
+}
+
+module.exports = {
+    SUBTITLE_EXTENSIONS,
+    isZip,
+    getExtension,
+    getContentType,
+    matchesEpisode,
+    extractSubtitle
+};
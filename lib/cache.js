@@ -2,20 +2,17 @@
  * Cache persistant pour les informations de disponibilité des sous-titres
  *
  * Stocke les résultats dans un fichier JSON pour éviter les appels API répétés.
- * Le cache survit aux redémarrages de l'addon.
+ * Le cache survit aux redémarrages de l'addon (stockage partagé lib/json-storage).
  *
  * @module lib/cache
  */
 
-const fs = require('fs');
 const path = require('path');
+const JsonStorage = require('./json-storage');
 
 /** Durée de vie par défaut du cache (7 jours en ms) */
 const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000;
 
-/** Intervalle de sauvegarde automatique (5 minutes en ms) */
-const SAVE_INTERVAL = 5 * 60 * 1000;
-
 /**
  * Classe de cache persistant avec stockage JSON
  */
@@ -32,41 +29,31 @@ class PersistentCache {
         this.cachePath = path.join(this.cacheDir, 'cache.json');
         this.ttl = options.ttl || DEFAULT_TTL;
         this.data = {};
-        this.dirty = false;
+        this.storage = new JsonStorage({
+            filePath: this.cachePath,
+            label: 'Cache',
+            pretty: true,
+            // Nettoie les entrées expirées avant de sauvegarder
+            serialize: () => {
+                this.cleanup();
+                return this.data;
+            }
+        });
 
         // Charge le cache existant
         this.load();
-
-        // Sauvegarde périodique
-        this.saveInterval = setInterval(() => this.save(), SAVE_INTERVAL);
-
-        // Sauvegarde à l'arrêt
-        process.on('SIGTERM', () => this.save());
-        process.on('SIGINT', () => this.save());
     }
 
     /**
      * Charge le cache depuis le fichier JSON
      */
     load() {
-        try {
-            // Crée le répertoire si nécessaire
-            if (!fs.existsSync(this.cacheDir)) {
-                fs.mkdirSync(this.cacheDir, { recursive: true });
-                console.log(`[Cache] Répertoire créé: ${this.cacheDir}`);
-            }
+        const content = this.storage.load();
 
-            // Charge le fichier s'il existe
-            if (fs.existsSync(this.cachePath)) {
-                const content = fs.readFileSync(this.cachePath, 'utf-8');
-                this.data = JSON.parse(content);
-                const count = Object.keys(this.data).length;
-                console.log(`[Cache] Chargé: ${count} entrée(s)`);
-            } else {
-                console.log('[Cache] Aucun cache existant, démarrage à vide');
-            }
-        } catch (error) {
-            console.error('[Cache] Erreur de chargement:', error.message);
+        if (content && typeof content === 'object' && !Array.isArray(content)) {
+            this.data = content;
+            console.log(`[Cache] Chargé: ${Object.keys(this.data).length} entrée(s)`);
+        } else {
             this.data = {};
         }
     }
@@ -77,25 +64,7 @@ class PersistentCache {
      * @returns {boolean} Succès de la sauvegarde
      */
     save() {
-        if (!this.dirty) {
-            return true;
-        }
-
-        try {
-            // Nettoie les entrées expirées avant de sauvegarder
-            this.cleanup();
-
-            const content = JSON.stringify(this.data, null, 2);
-            fs.writeFileSync(this.cachePath, content, 'utf-8');
-            this.dirty = false;
-
-            const count = Object.keys(this.data).length;
-            console.log(`[Cache] Sauvegardé: ${count} entrée(s)`);
-            return true;
-        } catch (error) {
-            console.error('[Cache] Erreur de sauvegarde:', error.message);
-            return false;
-        }
+        return this.storage.save();
     }
 
     /**
@@ -114,13 +83,14 @@ class PersistentCache {
         // Vérifie si l'entrée est expirée
         if (Date.now() > entry.expiresAt) {
             delete this.data[imdbId];
-            this.dirty = true;
+            this.storage.markDirty();
             return null;
         }
 
         return {
             available: entry.available,
-            count: entry.count
+            count: entry.count,
+            languages: entry.languages || {}
         };
     }
 
@@ -131,15 +101,17 @@ class PersistentCache {
      * @param {Object} data - Données à stocker
      * @param {boolean} data.available - Sous-titres disponibles
      * @param {number} data.count - Nombre de sous-titres trouvés
+     * @param {Object} [data.languages] - Nombre de sous-titres par langue ({ fr: 3 })
      */
     set(imdbId, data) {
         this.data[imdbId] = {
             available: data.available,
             count: data.count,
+            languages: data.languages || {},
             checkedAt: Date.now(),
             expiresAt: Date.now() + this.ttl
         };
-        this.dirty = true;
+        this.storage.markDirty();
     }
 
     /**
@@ -167,7 +139,7 @@ class PersistentCache {
         }
 
         if (removed > 0) {
-            this.dirty = true;
+            this.storage.markDirty();
             console.log(`[Cache] Nettoyage: ${removed} entrée(s) expirée(s) supprimée(s)`);
         }
     }
@@ -195,35 +167,38 @@ class PersistentCache {
      */
     clear() {
         this.data = {};
-        this.dirty = true;
+        this.storage.markDirty();
         this.save();
         console.log('[Cache] Cache entièrement vidé');
     }
 
     /**
      * Invalide une entrée spécifique
+     * Les variantes propres à une configuration utilisateur (clé "imdbId|...") sont aussi supprimées.
      *
      * @param {string} imdbId - ID IMDB à invalider
-     * @returns {boolean} true si l'entrée existait et a été supprimée
+     * @returns {boolean} true si au moins une entrée existait et a été supprimée
      */
     invalidate(imdbId) {
-        if (this.data[imdbId]) {
-            delete this.data[imdbId];
-            this.dirty = true;
-            this.save();
-            return true;
+        const keys = Object.keys(this.data).filter(key => key === imdbId || key.startsWith(`${imdbId}|`));
+
+        if (keys.length === 0) {
+            return false;
         }
-        return false;
+
+        for (const key of keys) {
+            delete this.data[key];
+        }
+        this.storage.markDirty();
+        this.save();
+        return true;
     }
 
     /**
      * Arrête le cache proprement
      */
     stop() {
-        if (this.saveInterval) {
-            clearInterval(this.saveInterval);
-        }
-        this.save();
+        this.storage.stop();
     }
 }
 
@@ -0,0 +1,116 @@
+/**
+ * Signaux communautaires des sous-titres (téléchargements, notes, uploaders de confiance)
+ *
+ * Chaque source expose ses propres indicateurs (OpenSubtitles : download_count, ratings,
+ * votes, from_trusted, uploader.rank ; Podnapisi et Addic7ed : téléchargements ;
+ * YIFY : votes positifs moins négatifs ; SubDL : aucun). Ils sont normalisés dans un même format
+ * puis résumés en un score de 0 à 1, utilisé pour départager les résultats quand
+ * le nom de release ne suffit pas (pas de nom de fichier, releases sans rapport).
+ *
+ * @module lib/community
+ */
+
+/** Rangs d'uploader OpenSubtitles considérés comme de confiance */
+const TRUSTED_RANKS = ['administrator', 'trusted', 'moderator', 'translator'];
+
+/** Votes fictifs ajoutés à la note (moyenne bayésienne : une note sur 1 vote compte peu) */
+const RATING_PRIOR_VOTES = 5;
+
+/** Note neutre (sur 10) vers laquelle tirent les notes avec peu de votes */
+const RATING_PRIOR = 5;
+
+/** Téléchargements à partir desquels la popularité est maximale */
+const MAX_DOWNLOADS = 100000;
+
+/** Solde de votes (YIFY) à partir duquel le bonus est maximal */
+const MAX_LIKES = 10;
+
+/** Part de chaque signal dans le score (total 1) */
+const SIGNAL_SHARES = {
+    trusted: 0.4,
+    rating: 0.3,
+    downloads: 0.2,
+    likes: 0.1
+};
+
+/**
+ * Convertit une valeur en nombre positif ou null
+ *
+ * @param {*} value - Valeur brute
+ * @returns {number|null}
+ * @private
+ */
+function toCount(value) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Normalise les signaux d'une source
+ *
+ * @param {Object} raw - Signaux bruts (tous optionnels)
+ * @param {number} [raw.downloads] - Nombre de téléchargements
+ * @param {number} [raw.rating] - Note moyenne sur 10
+ * @param {number} [raw.votes] - Nombre de votes de la note
+ * @param {number} [raw.likes] - Solde de votes positifs / négatifs
+ * @param {boolean} [raw.trusted] - Uploader de confiance
+ * @param {string} [raw.uploaderRank] - Rang de l'uploader (ex: "Trusted")
+ * @param {string} [raw.uploadDate] - Date d'upload
+ * @returns {Object} { downloads, rating, votes, likes, trusted, uploadDate } (null si inconnu)
+ */
+function normalizeSignals(raw = {}) {
+    const rank = typeof raw.uploaderRank === 'string' ? raw.uploaderRank.toLowerCase() : '';
+    const votes = toCount(raw.votes);
+    const rating = toCount(raw.rating);
+    const uploadDate = raw.uploadDate ? new Date(raw.uploadDate) : null;
+
+    return {
+        downloads: toCount(raw.downloads),
+        // Une note sans vote n'est pas une note
+        rating: rating !== null && votes ? Math.min(rating, 10) : null,
+        votes,
+        likes: Number.isFinite(raw.likes) ? raw.likes : null,
+        trusted: raw.trusted === true || TRUSTED_RANKS.includes(rank),
+        uploadDate: uploadDate && !isNaN(uploadDate) ? uploadDate.toISOString() : null
+    };
+}
+
+/**
+ * Résume les signaux en un score de 0 à 1
+ * Les signaux inconnus ne rapportent rien (une source sans statistiques n'est pas pénalisée),
+ * une note sous la moyenne retranche des points aux autres signaux.
+ *
+ * @param {Object} [signals] - Signaux normalisés (normalizeSignals)
+ * @returns {number} Score entre 0 et 1
+ */
+function communityScore(signals) {
+    if (!signals) {
+        return 0;
+    }
+
+    let score = 0;
+
+    if (signals.trusted) {
+        score += SIGNAL_SHARES.trusted;
+    }
+
+    if (signals.rating !== null) {
+        const weighted = (signals.rating * signals.votes + RATING_PRIOR * RATING_PRIOR_VOTES) / (signals.votes + RATING_PRIOR_VOTES);
+        score += SIGNAL_SHARES.rating * (weighted - RATING_PRIOR) / (10 - RATING_PRIOR);
+    }
+
+    if (signals.downloads) {
+        score += SIGNAL_SHARES.downloads * Math.min(1, Math.log10(signals.downloads + 1) / Math.log10(MAX_DOWNLOADS));
+    }
+
+    if (signals.likes) {
+        score += SIGNAL_SHARES.likes * Math.max(-1, Math.min(1, signals.likes / MAX_LIKES));
+    }
+
+    return Math.max(0, Math.min(1, score));
+}
+
+module.exports = {
+    normalizeSignals,
+    communityScore
+};
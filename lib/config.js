@@ -0,0 +1,216 @@
+/**
+ * Configuration utilisateur de l'addon
+ *
+ * Chaque utilisateur peut personnaliser l'addon depuis la page /configure.
+ * Les réglages sont encodés en JSON dans l'URL d'installation
+ * (ex: /{config}/manifest.json) puis transmis aux handlers par le SDK Stremio.
+ * Les valeurs absentes retombent sur la configuration serveur (variables d'environnement).
+ *
+ * @module lib/config
+ */
+
+const crypto = require('crypto');
+const { DEFAULT_LANGUAGE, isSupported } = require('./languages');
+const { PROVIDERS } = require('./providers');
+const { SUBTITLE_MODES, LEGACY_HEARING_IMPAIRED } = require('./subtitle-modes');
+
+/** Sources sélectionnables par l'utilisateur (voir le registre lib/providers) */
+const AVAILABLE_SOURCES = PROVIDERS.map(entry => entry.id);
+
+/** Champs de la config contenant les clés API personnelles */
+const API_KEY_FIELDS = PROVIDERS.map(entry => entry.apiKeyConfig).filter(Boolean);
+
+/** Modes d'affichage du badge de disponibilité */
+const BADGE_MODES = ['none', 'releaseInfo', 'title'];
+
+/**
+ * Traitement des traductions automatiques / IA (OpenSubtitles)
+ * - bottom : affichées après les sous-titres faits par des humains
+ * - hide : masquées
+ * - fallback : affichées seulement si aucun sous-titre humain n'existe dans la langue
+ */
+const TRANSLATED_POLICIES = ['bottom', 'hide', 'fallback'];
+
+/**
+ * Construit la configuration par défaut à partir des réglages serveur
+ *
+ * @param {Object} [options] - Réglages serveur
+ * @param {boolean} [options.badgeInTitle] - Badge activé par défaut (BADGE_IN_TITLE)
+ * @returns {Object} Configuration par défaut
+ */
+function createDefaultConfig(options = {}) {
+    const config = {
+        languages: [DEFAULT_LANGUAGE],
+        sources: [...AVAILABLE_SOURCES],
+        subtitleMode: SUBTITLE_MODES[0],
+        translatedPolicy: TRANSLATED_POLICIES[0],
+        badge: options.badgeInTitle ? 'releaseInfo' : 'none'
+    };
+
+    for (const field of API_KEY_FIELDS) {
+        config[field] = null;
+    }
+
+    return config;
+}
+
+/**
+ * Convertit une valeur (tableau ou liste séparée par des virgules) en tableau
+ *
+ * @param {Array|string} value - Valeur brute
+ * @returns {Array<string>} Valeurs nettoyées
+ * @private
+ */
+function toList(value) {
+    if (Array.isArray(value)) {
+        return value.map(v => String(v).trim().toLowerCase()).filter(Boolean);
+    }
+    if (typeof value === 'string') {
+        return value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    }
+    return [];
+}
+
+/**
+ * Valide et complète une configuration utilisateur
+ * Les valeurs invalides sont ignorées au profit des valeurs par défaut.
+ *
+ * @param {Object|null} raw - Configuration brute (déjà décodée)
+ * @param {Object} defaults - Configuration par défaut
+ * @returns {Object} Configuration normalisée
+ */
+function normalizeConfig(raw, defaults) {
+    const config = { ...defaults };
+
+    if (!raw || typeof raw !== 'object') {
+        return config;
+    }
+
+    const languages = [...new Set(toList(raw.languages).filter(isSupported))];
+    if (languages.length > 0) {
+        config.languages = languages;
+    }
+
+    if (raw.sources !== undefined) {
+        config.sources = [...new Set(toList(raw.sources).filter(s => AVAILABLE_SOURCES.includes(s)))];
+    }
+
+    // Anciennes URLs d'installation : hearingImpaired = include / exclude / only
+    if (LEGACY_HEARING_IMPAIRED[raw.hearingImpaired]) {
+        config.subtitleMode = LEGACY_HEARING_IMPAIRED[raw.hearingImpaired];
+    }
+
+    if (SUBTITLE_MODES.includes(raw.subtitleMode)) {
+        config.subtitleMode = raw.subtitleMode;
+    }
+
+    if (TRANSLATED_POLICIES.includes(raw.translatedPolicy)) {
+        config.translatedPolicy = raw.translatedPolicy;
+    }
+
+    if (BADGE_MODES.includes(raw.badge)) {
+        config.badge = raw.badge;
+    }
+
+    for (const field of API_KEY_FIELDS) {
+        if (typeof raw[field] === 'string' && raw[field].trim()) {
+            config[field] = raw[field].trim();
+        }
+    }
+
+    return config;
+}
+
+/**
+ * Décode la configuration présente dans l'URL
+ *
+ * @param {string|Object|null} value - Segment d'URL (JSON) ou objet déjà parsé par le SDK
+ * @param {Object} defaults - Configuration par défaut
+ * @returns {Object} Configuration normalisée
+ */
+function parseConfig(value, defaults) {
+    if (!value) {
+        return normalizeConfig(null, defaults);
+    }
+
+    if (typeof value === 'object') {
+        return normalizeConfig(value, defaults);
+    }
+
+    try {
+        return normalizeConfig(JSON.parse(value), defaults);
+    } catch (error) {
+        console.error('[Config] Configuration invalide ignorée:', error.message);
+        return normalizeConfig(null, defaults);
+    }
+}
+
+/**
+ * Encode une configuration pour l'URL d'installation
+ * Seules les valeurs différentes des défauts sont conservées pour garder une URL courte.
+ *
+ * @param {Object} config - Configuration normalisée
+ * @param {Object} defaults - Configuration par défaut
+ * @returns {string} Segment d'URL (vide si la configuration est celle par défaut)
+ */
+function encodeConfig(config, defaults) {
+    const diff = {};
+
+    for (const key of Object.keys(defaults)) {
+        if (JSON.stringify(config[key]) !== JSON.stringify(defaults[key])) {
+            diff[key] = config[key];
+        }
+    }
+
+    if (Object.keys(diff).length === 0) {
+        return '';
+    }
+
+    return encodeURIComponent(JSON.stringify(diff));
+}
+
+/**
+ * Extrait les clés API personnelles d'une configuration
+ * Utilisé pour les transmettre au proxy via l'URL.
+ *
+ * @param {Object} config - Configuration normalisée
+ * @returns {Object|null} { osApiKey, ... } ou null si aucune clé personnelle
+ */
+function getApiKeys(config) {
+    const keys = {};
+    for (const field of API_KEY_FIELDS) {
+        if (config[field]) keys[field] = config[field];
+    }
+    return Object.keys(keys).length > 0 ? keys : null;
+}
+
+/**
+ * Génère un suffixe de clé de cache propre aux réglages qui influencent les résultats
+ * Les clés API personnelles y figurent sous forme d'empreinte : elles déterminent les sources
+ * utilisables et sont embarquées dans les URLs du proxy, un utilisateur ne doit donc jamais
+ * recevoir les résultats mis en cache pour les clés d'un autre.
+ *
+ * @param {Object} config - Configuration normalisée
+ * @returns {string} Suffixe de clé de cache
+ */
+function configCacheKey(config) {
+    const apiKeys = getApiKeys(config);
+    const keysHash = apiKeys
+        ? crypto.createHash('sha256').update(JSON.stringify(apiKeys)).digest('hex').slice(0, 16)
+        : 'server';
+    return `${config.languages.join(',')}|${config.sources.join(',')}|${config.subtitleMode}|${config.translatedPolicy}|${keysHash}`;
+}
+
+module.exports = {
+    AVAILABLE_SOURCES,
+    API_KEY_FIELDS,
+    SUBTITLE_MODES,
+    BADGE_MODES,
+    TRANSLATED_POLICIES,
+    createDefaultConfig,
+    normalizeConfig,
+    parseConfig,
+    encodeConfig,
+    getApiKeys,
+    configCacheKey
+};
@@ -0,0 +1,160 @@
+/**
+ * Page de configuration de l'addon (/configure)
+ *
+ * Génère une page HTML autonome permettant à chaque utilisateur de choisir
+ * ses langues, ses sources, ses préférences et éventuellement ses propres clés API.
+ * La configuration est encodée en JSON dans l'URL d'installation.
+ *
+ * @module lib/configure-page
+ */
+
+const { LANGUAGES } = require('./languages');
+const { PROVIDERS } = require('./providers');
+
+/**
+ * Échappe une valeur pour l'insérer dans du HTML
+ *
+ * @param {string} value - Valeur brute
+ * @returns {string} Valeur échappée
+ * @private
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Génère le HTML de la page de configuration
+ *
+ * @param {Object} options - Options d'affichage
+ * @param {Object} options.manifest - Manifest de l'addon
+ * @param {Object} options.defaults - Configuration par défaut (serveur)
+ * @param {Object} options.current - Configuration actuelle (si reconfiguration)
+ * @param {Array<string>} options.serverSources - Ids des sources actives côté serveur
+ * @returns {string} Page HTML
+ */
+function renderConfigurePage({ manifest, defaults, current, serverSources }) {
+    const languageList = Object.entries(LANGUAGES)
+        .map(([code, { name }]) => `<code>${code}</code> ${escapeHtml(name)}`)
+        .join(', ');
+
+    const sourceCheckboxes = PROVIDERS.map(entry => {
+        const checked = current.sources.includes(entry.id) ? ' checked' : '';
+        const note = serverSources.includes(entry.id) ? '' : ' <small>(clé personnelle requise)</small>';
+        return `<label><input type="checkbox" name="sources" value="${entry.id}"${checked}/> ${entry.name}${note}</label>`;
+    }).join('\n            ');
+
+    const apiKeyInputs = PROVIDERS.filter(entry => entry.apiKeyConfig).map(entry =>
+        `<label>${entry.name} <input type="password" name="${entry.apiKeyConfig}" value="${escapeHtml(current[entry.apiKeyConfig] || '')}"/></label>`
+    ).join('\n            ');
+
+    const option = (value, label, selected) =>
+        `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`;
+
+    return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(manifest.name)} - Configuration</title>
+    <style>
+        body { font-family: sans-serif; background: #1b1b2f; color: #eee; max-width: 640px; margin: 2em auto; padding: 0 1em; }
+        fieldset { border: 1px solid #444; border-radius: 6px; margin-bottom: 1em; }
+        label { display: block; margin: .4em 0; }
+        input[type=text], input[type=password], select { width: 100%; padding: .4em; box-sizing: border-box; }
+        small { color: #aaa; }
+        a.button { display: inline-block; margin: .5em .5em 0 0; padding: .6em 1.2em; background: #7b5bf5; color: #fff; text-decoration: none; border-radius: 4px; }
+        code { background: #333; padding: 0 .3em; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(manifest.name)} v${escapeHtml(manifest.version)}</h1>
+    <form id="config">
+        <fieldset>
+            <legend>Langues (par ordre de priorité)</legend>
+            <input type="text" name="languages" value="${escapeHtml(current.languages.join(','))}"/>
+            <small>Codes disponibles : ${languageList}</small>
+        </fieldset>
+        <fieldset>
+            <legend>Sources</legend>
+            ${sourceCheckboxes}
+        </fieldset>
+        <fieldset>
+            <legend>Malentendants (HI) et sous-titres forcés</legend>
+            <select name="subtitleMode">
+                ${option('all', 'Tous', current.subtitleMode)}
+                ${option('prefer-non-hi', 'Tous, non-HI en premier', current.subtitleMode)}
+                ${option('prefer-hi', 'Tous, HI en premier', current.subtitleMode)}
+                ${option('no-hi', 'Exclure les HI', current.subtitleMode)}
+                ${option('hi-only', 'Uniquement les HI', current.subtitleMode)}
+                ${option('forced-only', 'Uniquement les forcés (parties en langue étrangère)', current.subtitleMode)}
+            </select>
+            <small>Forcés : pour un film en VF, seuls les panneaux et dialogues étrangers sont sous-titrés.</small>
+        </fieldset>
+        <fieldset>
+            <legend>Traductions automatiques / IA</legend>
+            <select name="translatedPolicy">
+                ${option('bottom', 'En fin de liste', current.translatedPolicy)}
+                ${option('hide', 'Masquer', current.translatedPolicy)}
+                ${option('fallback', 'Seulement si aucun sous-titre humain', current.translatedPolicy)}
+            </select>
+        </fieldset>
+        <fieldset>
+            <legend>Badge de disponibilité</legend>
+            <select name="badge">
+                ${option('none', 'Aucun', current.badge)}
+                ${option('releaseInfo', 'Dans la ligne année/durée', current.badge)}
+                ${option('title', 'Dans le titre', current.badge)}
+            </select>
+        </fieldset>
+        <fieldset>
+            <legend>Clés API personnelles (optionnel)</legend>
+            ${apiKeyInputs}
+        </fieldset>
+    </form>
+    <a id="install" class="button" href="#">Installer dans Stremio</a>
+    <a id="manifest" class="button" href="#">Lien du manifest</a>
+    <script>
+        const defaults = ${JSON.stringify(defaults)};
+        const apiKeyFields = ${JSON.stringify(PROVIDERS.map(entry => entry.apiKeyConfig).filter(Boolean))};
+        const form = document.getElementById('config');
+
+        function buildConfig() {
+            const data = new FormData(form);
+            const config = {
+                languages: data.get('languages').split(',').map(l => l.trim().toLowerCase()).filter(Boolean),
+                sources: data.getAll('sources'),
+                subtitleMode: data.get('subtitleMode'),
+                translatedPolicy: data.get('translatedPolicy'),
+                badge: data.get('badge')
+            };
+            for (const field of apiKeyFields) {
+                config[field] = data.get(field).trim() || null;
+            }
+            // Ne garde que les valeurs différentes des défauts (URL plus courte)
+            for (const key of Object.keys(config)) {
+                if (JSON.stringify(config[key]) === JSON.stringify(defaults[key])) delete config[key];
+            }
+            return Object.keys(config).length ? encodeURIComponent(JSON.stringify(config)) + '/' : '';
+        }
+
+        function update() {
+            const path = window.location.host + '/' + buildConfig() + 'manifest.json';
+            document.getElementById('install').href = 'stremio://' + path;
+            document.getElementById('manifest').href = window.location.protocol + '//' + path;
+        }
+
+        form.addEventListener('input', update);
+        form.addEventListener('change', update);
+        update();
+    </script>
+</body>
+</html>`;
+}
+
+module.exports = {
+    renderConfigurePage
+};
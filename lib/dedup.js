@@ -0,0 +1,127 @@
+/**
+ * Dédoublonnage des sous-titres entre sources
+ *
+ * Un même sous-titre français est souvent présent sur plusieurs sources
+ * (ex: OpenSubtitles et SubDL). Les résultats sont regroupés :
+ * - par nom de release normalisé (même langue, même indicateur HI, sources différentes)
+ * - par empreinte du contenu quand le fichier est déjà stocké sur disque
+ * Un seul résultat est conservé par groupe (le plus disponible), étiqueté
+ * avec toutes les sources sur lesquelles il a été trouvé.
+ *
+ * @module lib/dedup
+ */
+
+const crypto = require('crypto');
+const { toUtf8 } = require('./encoding');
+const { detectFormat, parseSubtitle } = require('./subtitle-formats');
+
+/** Extensions retirées des noms de release (fichier vidéo ou sous-titre) */
+const RELEASE_EXTENSIONS = /\.(srt|sub|ass|ssa|vtt|smi|txt|zip|mkv|mp4|avi|m4v)$/i;
+
+/**
+ * Normalise un nom de release pour la comparaison entre sources
+ * "Movie.2010.1080p.BluRay.x264-GRP.srt" et "Movie 2010 1080p BluRay x264 GRP" donnent la même clé.
+ *
+ * @param {string} release - Nom de release
+ * @returns {string|null} Clé normalisée ou null si inexploitable
+ */
+function normalizeRelease(release) {
+    if (!release || release === 'Unknown') {
+        return null;
+    }
+
+    const normalized = release
+        .trim()
+        .replace(RELEASE_EXTENSIONS, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '.')
+        .replace(/^\.+|\.+$/g, '');
+
+    // Trop court pour identifier une release (ex: "fr", "1")
+    return normalized.length >= 4 ? normalized : null;
+}
+
+/**
+ * Calcule l'empreinte du contenu d'un sous-titre
+ * Basée sur le texte des cues et leur début à la seconde près : l'encodage,
+ * le format et la mise en forme n'interviennent pas, mais deux synchros différentes
+ * d'une même traduction restent distinctes.
+ *
+ * @param {Buffer|string} content - Contenu brut
+ * @param {string} [filename] - Nom du fichier (détection du format)
+ * @returns {string} Empreinte SHA-1 (hexadécimal)
+ */
+function contentFingerprint(content, filename = '') {
+    const { text } = toUtf8(content);
+    const cues = parseSubtitle(text, detectFormat(text, filename));
+    const normalize = value => value.replace(/<[^>]*>|\{[^}]*\}/g, '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+
+    const signature = cues.length > 0
+        ? cues.map(cue => `${Math.round(cue.start / 1000)}:${normalize(cue.text)}`).join('\n')
+        : normalize(text);
+
+    return crypto.createHash('sha1').update(signature).digest('hex');
+}
+
+/**
+ * Regroupe les doublons et conserve un résultat par groupe
+ *
+ * @param {Array} subtitles - Sous-titres de toutes les sources (ordre conservé)
+ * @param {Function} describe - (sub) => { source, availability, fingerprint }
+ *   source : définition de la source (lib/providers) ou null, availability : plus élevé = meilleur,
+ *   fingerprint : empreinte du contenu ou null si le fichier n'est pas stocké
+ * @returns {Array} Sous-titres dédoublonnés, à la place du premier élément de chaque groupe
+ */
+function deduplicateSubtitles(subtitles, describe) {
+    const groups = [];
+    const byKey = new Map();
+
+    for (const sub of subtitles) {
+        const info = describe(sub);
+        const release = normalizeRelease(sub._release);
+        const releaseKey = release && info.source ? `${sub.lang}|${sub._hi ? 'hi' : ''}|${release}` : null;
+        const fingerprintKey = info.fingerprint ? `${sub.lang}|${info.fingerprint}` : null;
+
+        // Même release sur une même source : fichiers différents, non fusionnés
+        let group = fingerprintKey ? byKey.get(fingerprintKey) : null;
+        if (!group && releaseKey) {
+            const candidate = byKey.get(releaseKey);
+            if (candidate && !candidate.members.some(member => member.info.source === info.source)) {
+                group = candidate;
+            }
+        }
+
+        if (!group) {
+            group = { members: [] };
+            groups.push(group);
+        }
+
+        group.members.push({ sub, info });
+        if (releaseKey && !byKey.has(releaseKey)) byKey.set(releaseKey, group);
+        if (fingerprintKey && !byKey.has(fingerprintKey)) byKey.set(fingerprintKey, group);
+    }
+
+    return groups.map(({ members }) => {
+        if (members.length === 1) {
+            return members[0].sub;
+        }
+
+        // Meilleure disponibilité, puis ordre d'origine
+        const kept = members.reduce((best, member) => member.info.availability > best.info.availability ? member : best);
+        const prefixes = [kept, ...members.filter(member => member !== kept)]
+            .map(member => member.info.source && member.info.source.prefix)
+            .filter((prefix, index, all) => prefix && all.indexOf(prefix) === index);
+
+        return {
+            ...kept.sub,
+            id: kept.sub.id.replace(/^\[[^\]]+\]/, `[${prefixes.join(' + ')}]`),
+            _hashMatch: members.some(member => member.sub._hashMatch === true)
+        };
+    });
+}
+
+module.exports = {
+    normalizeRelease,
+    contentFingerprint,
+    deduplicateSubtitles
+};
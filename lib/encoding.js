@@ -0,0 +1,122 @@
+/**
+ * Détection d'encodage et normalisation UTF-8 des sous-titres
+ *
+ * Beaucoup d'anciens SRT français sont en Windows-1252 ou ISO-8859-15 :
+ * lus comme de l'UTF-8 par Stremio, les accents deviennent illisibles ("Ã©").
+ * Le proxy convertit donc chaque fichier en UTF-8 avant de le servir.
+ *
+ * @module lib/encoding
+ */
+
+/** Octets ISO-8859-15 courants en français (€, Œ, œ) qui valent ¤, ¼, ½ en Windows-1252 */
+const ISO_8859_15_BYTES = new Set([0xa4, 0xbc, 0xbd]);
+
+/**
+ * Caractères Windows-1252 des octets 0x80-0x9F (le reste est identique à Latin-1)
+ * TextDecoder de Node les décode comme des caractères de contrôle : table explicite.
+ */
+const WINDOWS_1252_HIGH = [
+    '€', '\u0081', '‚', 'ƒ', '„', '…', '†', '‡', 'ˆ', '‰', 'Š', '‹', 'Œ', '\u008d', 'Ž', '\u008f',
+    '\u0090', '‘', '’', '“', '”', '•', '–', '—', '˜', '™', 'š', '›', 'œ', '\u009d', 'ž', 'Ÿ'
+];
+
+/** Différences entre ISO-8859-15 et Latin-1 */
+const ISO_8859_15_DIFF = {
+    0xa4: '€', 0xa6: 'Š', 0xa8: 'š', 0xb4: 'Ž', 0xb8: 'ž', 0xbc: 'Œ', 0xbd: 'œ', 0xbe: 'Ÿ'
+};
+
+/**
+ * Détecte l'encodage d'un fichier de sous-titres
+ *
+ * - BOM UTF-8 / UTF-16 si présent
+ * - UTF-8 si le contenu est valide
+ * - Sinon Windows-1252, ou ISO-8859-15 si le fichier n'utilise aucun octet
+ *   0x80-0x9F (spécifiques à Windows-1252) mais des octets propres à ISO-8859-15 (œ, €)
+ *
+ * @param {Buffer} buffer - Contenu brut
+ * @returns {string} Encodage (étiquette TextDecoder)
+ */
+function detectEncoding(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+        return 'utf-8';
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) {
+        return 'utf-16le';
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) {
+        return 'utf-16be';
+    }
+
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return 'utf-8';
+    } catch (error) {
+        // Pas de l'UTF-8 valide : encodage 8 bits
+    }
+
+    let hasWindowsBytes = false;
+    let hasIsoBytes = false;
+
+    for (const byte of buffer) {
+        if (byte >= 0x80 && byte <= 0x9f) {
+            hasWindowsBytes = true;
+            break;
+        }
+        if (ISO_8859_15_BYTES.has(byte)) {
+            hasIsoBytes = true;
+        }
+    }
+
+    return !hasWindowsBytes && hasIsoBytes ? 'iso-8859-15' : 'windows-1252';
+}
+
+/**
+ * Décode un contenu 8 bits (Windows-1252 ou ISO-8859-15)
+ *
+ * @param {Buffer} buffer - Contenu brut
+ * @param {string} encoding - 'windows-1252' ou 'iso-8859-15'
+ * @returns {string} Texte décodé
+ * @private
+ */
+function decodeSingleByte(buffer, encoding) {
+    let text = '';
+
+    for (const byte of buffer) {
+        if (encoding === 'windows-1252' && byte >= 0x80 && byte <= 0x9f) {
+            text += WINDOWS_1252_HIGH[byte - 0x80];
+        } else if (encoding === 'iso-8859-15' && ISO_8859_15_DIFF[byte]) {
+            text += ISO_8859_15_DIFF[byte];
+        } else {
+            text += String.fromCharCode(byte);
+        }
+    }
+
+    return text;
+}
+
+/**
+ * Convertit un fichier de sous-titres en texte UTF-8 normalisé
+ * (BOM retiré, fins de ligne en \n)
+ *
+ * @param {Buffer|string} content - Contenu brut
+ * @returns {Object} { text, encoding } - Texte normalisé et encodage d'origine
+ */
+function toUtf8(content) {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf-8');
+    const encoding = detectEncoding(buffer);
+
+    const decoded = encoding === 'windows-1252' || encoding === 'iso-8859-15'
+        ? decodeSingleByte(buffer, encoding)
+        : new TextDecoder(encoding).decode(buffer);
+
+    const text = decoded
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n');
+
+    return { text, encoding };
+}
+
+module.exports = {
+    detectEncoding,
+    toUtf8
+};
@@ -0,0 +1,33 @@
+/**
+ * Erreurs partagées par les clients des sources de sous-titres
+ *
+ * @module lib/errors
+ */
+
+/**
+ * Erreur de rate limiting
+ */
+class RateLimitError extends Error {
+    constructor(retryAfter = null) {
+        super('Rate limit exceeded');
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Quota de téléchargement épuisé (ex: quota journalier OpenSubtitles)
+ * Sous-classe de RateLimitError : retryAfter est le délai avant la remise à zéro du quota.
+ */
+class QuotaExceededError extends RateLimitError {
+    constructor(retryAfter = null) {
+        super(retryAfter);
+        this.message = 'Download quota exceeded';
+        this.name = 'QuotaExceededError';
+    }
+}
+
+module.exports = {
+    RateLimitError,
+    QuotaExceededError
+};
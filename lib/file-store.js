@@ -0,0 +1,293 @@
+/**
+ * Stockage disque des fichiers de sous-titres téléchargés
+ *
+ * Chaque téléchargement OpenSubtitles consomme le quota journalier, même pour un
+ * fichier déjà servi (revisionnage, redémarrage, autre utilisateur de l'instance).
+ * Les fichiers bruts sont donc conservés sur disque, indexés par source et file_id,
+ * avec une taille maximale et une éviction LRU (moins récemment servi en premier).
+ * L'index (index.json) passe par le stockage partagé lib/json-storage.
+ *
+ * @module lib/file-store
+ */
+
+const fs = require('fs');
+const path = require('path');
+const JsonStorage = require('./json-storage');
+
+/** Taille maximale par défaut du stockage (100 Mo) */
+const DEFAULT_MAX_BYTES = 100 * 1024 * 1024;
+
+/**
+ * Classe de stockage des fichiers de sous-titres avec éviction LRU
+ */
+class SubtitleFileStore {
+    /**
+     * Crée une instance du stockage
+     *
+     * @param {Object} options - Options de configuration
+     * @param {string} [options.storeDir] - Répertoire de stockage des fichiers
+     * @param {number} [options.maxBytes] - Taille maximale cumulée des fichiers en octets
+     */
+    constructor(options = {}) {
+        this.storeDir = options.storeDir || path.join(__dirname, '..', 'data', 'subtitles');
+        this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+        this.entries = new Map(); // source/fileId -> { file, filename, fingerprint, size, lastAccess }, du moins au plus récent
+        this.totalBytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+        this.storage = new JsonStorage({
+            filePath: path.join(this.storeDir, 'index.json'),
+            label: 'FileStore',
+            serialize: () => Object.fromEntries(this.entries),
+            pretty: true
+        });
+
+        // Charge l'index existant
+        this.load();
+    }
+
+    /**
+     * Construit la clé d'un fichier
+     *
+     * @param {string} source - ID de la source (ex: opensubtitles)
+     * @param {string} fileId - Identifiant du fichier chez la source
+     * @returns {string} Clé source/fileId
+     * @private
+     */
+    _key(source, fileId) {
+        return `${source}/${fileId}`;
+    }
+
+    /**
+     * Charge l'index depuis le disque
+     * Les entrées dont le fichier a disparu et les fichiers absents de l'index sont ignorés.
+     */
+    load() {
+        try {
+            // Le stockage crée le répertoire si nécessaire
+            const index = this.storage.load() || {};
+
+            // Ordre LRU : du moins au plus récemment servi
+            const sorted = Object.entries(index).sort(([, a], [, b]) => a.lastAccess - b.lastAccess);
+            for (const [key, entry] of sorted) {
+                if (!fs.existsSync(path.join(this.storeDir, entry.file))) continue;
+                this.entries.set(key, entry);
+                this.totalBytes += entry.size;
+            }
+
+            // Fichiers écrits après la dernière sauvegarde de l'index (arrêt brutal), fichier temporaire de l'index
+            const indexed = new Set([...this.entries.values()].map(entry => entry.file));
+            for (const file of fs.readdirSync(this.storeDir)) {
+                if (file !== 'index.json' && !indexed.has(file)) {
+                    fs.unlinkSync(path.join(this.storeDir, file));
+                }
+            }
+
+            if (this.entries.size !== Object.keys(index).length) {
+                this.storage.markDirty();
+            }
+            this.evict();
+            console.log(`[FileStore] Chargé: ${this.entries.size} fichier(s), ${(this.totalBytes / 1024 / 1024).toFixed(1)} Mo`);
+        } catch (error) {
+            console.error('[FileStore] Erreur de chargement:', error.message);
+            this.entries = new Map();
+            this.totalBytes = 0;
+        }
+    }
+
+    /**
+     * Sauvegarde l'index sur le disque
+     *
+     * @returns {boolean} Succès de la sauvegarde
+     */
+    save() {
+        return this.storage.save();
+    }
+
+    /**
+     * Récupère un fichier stocké
+     *
+     * @param {string} source - ID de la source
+     * @param {string} fileId - Identifiant du fichier chez la source
+     * @returns {Object|null} { content, filename } ou null si absent
+     */
+    get(source, fileId) {
+        const key = this._key(source, fileId);
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            this.misses++;
+            return null;
+        }
+
+        let content;
+        try {
+            content = fs.readFileSync(path.join(this.storeDir, entry.file));
+        } catch (error) {
+            console.error(`[FileStore] Fichier illisible ${key}:`, error.message);
+            this._remove(key);
+            this.misses++;
+            return null;
+        }
+
+        // Passe en fin de Map (plus récemment servi). Pas de sauvegarde pour une simple lecture :
+        // la date d'accès est écrite avec la prochaine modification de l'index
+        this.entries.delete(key);
+        this.entries.set(key, { ...entry, lastAccess: Date.now() });
+        this.hits++;
+
+        return { content, filename: entry.filename };
+    }
+
+    /**
+     * Vérifie si un fichier est stocké (sans compter de hit ni de miss)
+     *
+     * @param {string} source - ID de la source
+     * @param {string} fileId - Identifiant du fichier chez la source
+     * @returns {boolean}
+     */
+    has(source, fileId) {
+        return this.entries.has(this._key(source, fileId));
+    }
+
+    /**
+     * Retourne l'empreinte du contenu d'un fichier stocké (dédoublonnage entre sources)
+     *
+     * @param {string} source - ID de la source
+     * @param {string} fileId - Identifiant du fichier chez la source
+     * @returns {string|null} Empreinte ou null si absent
+     */
+    getFingerprint(source, fileId) {
+        const entry = this.entries.get(this._key(source, fileId));
+        return entry && entry.fingerprint ? entry.fingerprint : null;
+    }
+
+    /**
+     * Stocke un fichier téléchargé puis évince les plus anciens si la taille maximale est dépassée
+     *
+     * @param {string} source - ID de la source
+     * @param {string} fileId - Identifiant du fichier chez la source
+     * @param {Object} download - Fichier téléchargé
+     * @param {Buffer|string} download.content - Contenu brut
+     * @param {string} download.filename - Nom du fichier
+     * @param {string} [download.fingerprint] - Empreinte du contenu (lib/dedup)
+     */
+    set(source, fileId, { content, filename, fingerprint }) {
+        const buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf-8');
+        if (buffer.length > this.maxBytes) {
+            return;
+        }
+
+        const key = this._key(source, fileId);
+        const file = key.replace(/[^\w-]/g, '_');
+
+        try {
+            this._remove(key);
+            fs.writeFileSync(path.join(this.storeDir, file), buffer);
+        } catch (error) {
+            console.error(`[FileStore] Erreur d'écriture ${key}:`, error.message);
+            return;
+        }
+
+        this.entries.set(key, { file, filename, fingerprint: fingerprint || null, size: buffer.length, lastAccess: Date.now() });
+        this.totalBytes += buffer.length;
+        this.storage.markDirty();
+        this.evict();
+
+        // Index sauvegardé à chaque nouveau fichier (un arrêt brutal ne perd pas les téléchargements)
+        this.save();
+    }
+
+    /**
+     * Supprime un fichier stocké
+     *
+     * @param {string} source - ID de la source
+     * @param {string} fileId - Identifiant du fichier chez la source
+     * @returns {boolean} true si le fichier existait
+     */
+    delete(source, fileId) {
+        return this._remove(this._key(source, fileId));
+    }
+
+    /**
+     * Supprime une entrée et son fichier
+     *
+     * @param {string} key - Clé source/fileId
+     * @returns {boolean} true si l'entrée existait
+     * @private
+     */
+    _remove(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            return false;
+        }
+
+        this.entries.delete(key);
+        this.totalBytes -= entry.size;
+        this.storage.markDirty();
+
+        try {
+            fs.unlinkSync(path.join(this.storeDir, entry.file));
+        } catch (error) {
+            // Fichier déjà absent
+        }
+        return true;
+    }
+
+    /**
+     * Évince les fichiers les moins récemment servis jusqu'à repasser sous la taille maximale
+     */
+    evict() {
+        let removed = 0;
+
+        for (const key of this.entries.keys()) {
+            if (this.totalBytes <= this.maxBytes) break;
+
+            this._remove(key);
+            removed++;
+        }
+
+        if (removed > 0) {
+            console.log(`[FileStore] Éviction LRU: ${removed} fichier(s) supprimé(s)`);
+        }
+    }
+
+    /**
+     * Retourne les statistiques du stockage
+     *
+     * @returns {Object} Statistiques
+     */
+    stats() {
+        return {
+            files: this.entries.size,
+            sizeMB: Math.round(this.totalBytes / 1024 / 1024 * 10) / 10,
+            maxSizeMB: Math.round(this.maxBytes / 1024 / 1024 * 10) / 10,
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: this.hits + this.misses > 0
+                ? ((this.hits / (this.hits + this.misses)) * 100).toFixed(1) + '%'
+                : 'N/A'
+        };
+    }
+
+    /**
+     * Vide entièrement le stockage
+     */
+    clear() {
+        for (const key of [...this.entries.keys()]) {
+            this._remove(key);
+        }
+        this.save();
+        console.log('[FileStore] Stockage entièrement vidé');
+    }
+
+    /**
+     * Arrête le stockage proprement
+     */
+    stop() {
+        this.storage.stop();
+    }
+}
+
+module.exports = SubtitleFileStore;
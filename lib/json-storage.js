@@ -0,0 +1,124 @@
+/**
+ * Stockage JSON sur disque partagé par les caches et index persistants
+ *
+ * Charge le fichier au démarrage, le réécrit périodiquement s'il a été modifié
+ * et à l'arrêt de l'addon. L'écriture passe par un fichier temporaire renommé :
+ * un arrêt brutal pendant la sauvegarde ne laisse pas de fichier tronqué.
+ * Le contenu est fourni par le cache propriétaire (serialize) au moment de la sauvegarde.
+ *
+ * @module lib/json-storage
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** Intervalle de sauvegarde automatique par défaut (5 minutes en ms) */
+const DEFAULT_SAVE_INTERVAL = 5 * 60 * 1000;
+
+/**
+ * Classe de stockage d'un cache dans un fichier JSON
+ */
+class JsonStorage {
+    /**
+     * Crée le stockage et démarre la sauvegarde périodique
+     *
+     * @param {Object} options - Options de configuration
+     * @param {string} options.filePath - Chemin du fichier JSON
+     * @param {Function} options.serialize - Retourne le contenu à écrire (objet ou tableau)
+     * @param {string} [options.label] - Préfixe des logs (ex: Cache)
+     * @param {number} [options.saveInterval] - Intervalle de sauvegarde en ms
+     * @param {boolean} [options.pretty] - JSON indenté (lisible, plus volumineux)
+     * @param {Function} [options.count] - Nombre d'entrées du contenu (logs, défaut: taille du tableau ou nombre de clés)
+     */
+    constructor({ filePath, serialize, label = 'Cache', saveInterval = DEFAULT_SAVE_INTERVAL, pretty = false, count = null }) {
+        this.filePath = filePath;
+        this.dir = path.dirname(filePath);
+        this.serialize = serialize;
+        this.count = count || (data => Array.isArray(data) ? data.length : Object.keys(data).length);
+        this.label = label;
+        this.pretty = pretty;
+        this.dirty = false;
+
+        // Sauvegarde périodique
+        this.saveInterval = setInterval(() => this.save(), saveInterval);
+
+        // Sauvegarde à l'arrêt
+        process.on('SIGTERM', () => this.save());
+        process.on('SIGINT', () => this.save());
+    }
+
+    /**
+     * Lit le fichier JSON
+     *
+     * @returns {Object|Array|null} Contenu ou null si absent / illisible
+     */
+    load() {
+        try {
+            // Crée le répertoire si nécessaire
+            if (!fs.existsSync(this.dir)) {
+                fs.mkdirSync(this.dir, { recursive: true });
+                console.log(`[${this.label}] Répertoire créé: ${this.dir}`);
+            }
+
+            if (!fs.existsSync(this.filePath)) {
+                console.log(`[${this.label}] Aucun cache existant, démarrage à vide`);
+                return null;
+            }
+
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        } catch (error) {
+            console.error(`[${this.label}] Erreur de chargement:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Signale une modification (écrite à la prochaine sauvegarde)
+     */
+    markDirty() {
+        this.dirty = true;
+    }
+
+    /**
+     * Écrit le contenu dans le fichier JSON s'il a été modifié
+     *
+     * @returns {boolean} Succès de la sauvegarde
+     */
+    save() {
+        if (!this.dirty) {
+            return true;
+        }
+
+        const tmpPath = `${this.filePath}.tmp`;
+
+        try {
+            const data = this.serialize();
+            const content = JSON.stringify(data, null, this.pretty ? 2 : 0);
+
+            if (!fs.existsSync(this.dir)) {
+                fs.mkdirSync(this.dir, { recursive: true });
+            }
+            fs.writeFileSync(tmpPath, content, 'utf-8');
+            fs.renameSync(tmpPath, this.filePath);
+            this.dirty = false;
+
+            console.log(`[${this.label}] Sauvegardé: ${this.count(data)} entrée(s)`);
+            return true;
+        } catch (error) {
+            console.error(`[${this.label}] Erreur de sauvegarde:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Arrête la sauvegarde périodique et écrit les modifications en attente
+     */
+    stop() {
+        if (this.saveInterval) {
+            clearInterval(this.saveInterval);
+        }
+        this.save();
+    }
+}
+
+module.exports = JsonStorage;
@@ -0,0 +1,155 @@
+/**
+ * Table des langues supportées
+ *
+ * Fait la correspondance entre les codes ISO 639-1 (utilisés par les APIs
+ * OpenSubtitles et SubDL) et les codes ISO 639-2 attendus par Stremio.
+ *
+ * @module lib/languages
+ */
+
+/**
+ * Langues proposées sur la page de configuration
+ * iso639_2 : code ISO 639-2/B utilisé par Stremio pour grouper les sous-titres
+ * englishName : nom anglais affiché par les sites scrapés (YIFY, ...)
+ * flag : emoji utilisé pour le badge de disponibilité
+ * osCode : code attendu par OpenSubtitles s'il diffère du code ISO 639-1
+ */
+const LANGUAGES = {
+    fr: { iso639_2: 'fre', name: 'Français', englishName: 'French', flag: '🇫🇷' },
+    en: { iso639_2: 'eng', name: 'Anglais', englishName: 'English', flag: '🇬🇧' },
+    es: { iso639_2: 'spa', name: 'Espagnol', englishName: 'Spanish', flag: '🇪🇸' },
+    de: { iso639_2: 'ger', name: 'Allemand', englishName: 'German', flag: '🇩🇪' },
+    it: { iso639_2: 'ita', name: 'Italien', englishName: 'Italian', flag: '🇮🇹' },
+    pt: { iso639_2: 'por', name: 'Portugais', englishName: 'Portuguese', flag: '🇵🇹', osCode: 'pt-pt' },
+    nl: { iso639_2: 'dut', name: 'Néerlandais', englishName: 'Dutch', flag: '🇳🇱' },
+    pl: { iso639_2: 'pol', name: 'Polonais', englishName: 'Polish', flag: '🇵🇱' },
+    ro: { iso639_2: 'rum', name: 'Roumain', englishName: 'Romanian', flag: '🇷🇴' },
+    ru: { iso639_2: 'rus', name: 'Russe', englishName: 'Russian', flag: '🇷🇺' },
+    tr: { iso639_2: 'tur', name: 'Turc', englishName: 'Turkish', flag: '🇹🇷' },
+    ar: { iso639_2: 'ara', name: 'Arabe', englishName: 'Arabic', flag: '🇸🇦' }
+};
+
+/** Langue par défaut de l'addon */
+const DEFAULT_LANGUAGE = 'fr';
+
+/**
+ * Vérifie qu'un code ISO 639-1 fait partie des langues supportées
+ *
+ * @param {string} code - Code ISO 639-1 (ex: fr)
+ * @returns {boolean}
+ */
+function isSupported(code) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+/**
+ * Convertit un code ISO 639-1 en code ISO 639-2 pour Stremio
+ *
+ * @param {string} code - Code ISO 639-1 (ex: fr)
+ * @returns {string|null} Code ISO 639-2 (ex: fre) ou null si inconnu
+ */
+function toStremioLang(code) {
+    const iso = toIso639_1(code);
+    return iso ? LANGUAGES[iso].iso639_2 : null;
+}
+
+/**
+ * Retrouve le code ISO 639-1 d'une langue à partir d'un code quelconque
+ * Les APIs renvoient selon les cas "fr", "FR", "fre" ou "pt-PT".
+ *
+ * @param {string} code - Code ISO 639-1 ou 639-2, avec ou sans région
+ * @returns {string|null} Code ISO 639-1 (ex: fr) ou null si inconnu
+ */
+function toIso639_1(code) {
+    if (!code) return null;
+    const lower = String(code).toLowerCase().split(/[-_]/)[0];
+    if (isSupported(lower)) return lower;
+
+    const match = Object.entries(LANGUAGES).find(([, entry]) => entry.iso639_2 === lower);
+    return match ? match[0] : null;
+}
+
+/**
+ * Convertit un code ISO 639-1 en code de langue OpenSubtitles
+ *
+ * @param {string} code - Code ISO 639-1 (ex: pt)
+ * @returns {string} Code OpenSubtitles (ex: pt-pt)
+ */
+function toOpenSubtitlesCode(code) {
+    const entry = LANGUAGES[code];
+    return (entry && entry.osCode) || code;
+}
+
+/**
+ * Retrouve le code ISO 639-1 d'une langue à partir de son nom anglais
+ *
+ * @param {string} name - Nom anglais (ex: French)
+ * @returns {string|null} Code ISO 639-1 (ex: fr) ou null si inconnu
+ */
+function fromEnglishName(name) {
+    if (!name) return null;
+    const lower = name.trim().toLowerCase();
+    const match = Object.entries(LANGUAGES).find(([, entry]) => entry.englishName.toLowerCase() === lower);
+    return match ? match[0] : null;
+}
+
+/**
+ * Trie des sous-titres Stremio selon l'ordre de priorité des langues
+ * Le tri est stable : l'ordre interne à chaque langue est conservé.
+ *
+ * @param {Array} subtitles - Sous-titres formatés (champ lang en ISO 639-2)
+ * @param {Array<string>} languages - Codes ISO 639-1 par ordre de priorité
+ * @returns {Array} Nouveau tableau trié
+ */
+function sortByLanguagePriority(subtitles, languages) {
+    const rank = (sub) => {
+        const index = languages.indexOf(toIso639_1(sub.lang));
+        return index === -1 ? languages.length : index;
+    };
+
+    return subtitles
+        .map((sub, index) => ({ sub, index, rank: rank(sub) }))
+        .sort((a, b) => a.rank - b.rank || a.index - b.index)
+        .map(item => item.sub);
+}
+
+/**
+ * Limite le nombre de résultats par langue
+ *
+ * @param {Array} items - Résultats bruts d'une source
+ * @param {Function} getLanguage - Extrait le code langue d'un résultat
+ * @param {number} limit - Nombre maximum de résultats par langue
+ * @returns {Array} Résultats limités (ordre conservé)
+ */
+function limitPerLanguage(items, getLanguage, limit) {
+    const counts = {};
+
+    return items.filter(item => {
+        const lang = toIso639_1(getLanguage(item)) || 'unknown';
+        counts[lang] = (counts[lang] || 0) + 1;
+        return counts[lang] <= limit;
+    });
+}
+
+/**
+ * Formate une liste de langues pour l'affichage (ex: "FR, EN")
+ *
+ * @param {Array<string>} languages - Codes ISO 639-1
+ * @returns {string}
+ */
+function formatLanguageList(languages) {
+    return languages.map(code => code.toUpperCase()).join(', ');
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    isSupported,
+    toStremioLang,
+    toIso639_1,
+    toOpenSubtitlesCode,
+    fromEnglishName,
+    sortByLanguagePriority,
+    limitPerLanguage,
+    formatLanguageList
+};
@@ -0,0 +1,216 @@
+/**
+ * Score de correspondance entre un sous-titre et le fichier vidéo
+ *
+ * Les noms de release (vidéo et sous-titre) sont analysés par lib/release-parser
+ * puis comparés critère par critère. Les poids sont configurables (MATCH_WEIGHTS)
+ * et le détail des points par critère est conservé pour /debug/match.
+ *
+ * @module lib/match-score
+ */
+
+const { parseReleaseName } = require('./release-parser');
+const { subtitleModeScore } = require('./subtitle-modes');
+const { communityScore } = require('./community');
+
+/**
+ * Poids par défaut des critères (points ajoutés quand le critère est rempli)
+ * - hash : score d'un match par hash, les autres scores restent en dessous
+ * - editionMismatch : pénalité si les deux éditions sont connues et différentes
+ * - episode : la release désigne l'épisode demandé, seasonPack : pack de saison (moins précis)
+ * - commonWords : maximum de points pour les mots communs (1 point par mot)
+ * - community : maximum de points des signaux communautaires (lib/community), départage
+ *   les résultats quand la release ne suffit pas (ex: pas de nom de fichier)
+ */
+const DEFAULT_MATCH_WEIGHTS = {
+    hash: 100,
+    group: 40,
+    resolution: 20,
+    source: 15,
+    remux: 5,
+    codec: 10,
+    streamingService: 10,
+    edition: 15,
+    editionMismatch: -20,
+    repack: 5,
+    episode: 10,
+    seasonPack: -10,
+    commonWords: 5,
+    corrected: 2,
+    community: 10
+};
+
+/**
+ * Charge les poids depuis la configuration (JSON, ex: '{"group": 50, "codec": 0}')
+ * Les critères absents gardent leur poids par défaut, les valeurs invalides sont ignorées.
+ *
+ * @param {string|Object} [raw] - Poids partiels (JSON ou objet)
+ * @returns {Object} Poids complets
+ */
+function loadMatchWeights(raw) {
+    if (!raw) {
+        return { ...DEFAULT_MATCH_WEIGHTS };
+    }
+
+    let overrides;
+    try {
+        overrides = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+        console.error('[MatchScore] MATCH_WEIGHTS invalide (JSON attendu), poids par défaut utilisés:', error.message);
+        return { ...DEFAULT_MATCH_WEIGHTS };
+    }
+
+    const weights = { ...DEFAULT_MATCH_WEIGHTS };
+    for (const [criterion, value] of Object.entries(overrides || {})) {
+        if (!(criterion in DEFAULT_MATCH_WEIGHTS)) {
+            console.warn(`[MatchScore] Critère inconnu ignoré: ${criterion}`);
+        } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+            console.warn(`[MatchScore] Poids invalide ignoré pour ${criterion}: ${value}`);
+        } else {
+            weights[criterion] = value;
+        }
+    }
+    return weights;
+}
+
+/**
+ * Compte les mots communs (plus de 2 caractères) entre deux noms normalisés
+ *
+ * @param {string} videoName - Nom normalisé de la vidéo
+ * @param {string} subName - Nom normalisé du sous-titre
+ * @returns {number}
+ * @private
+ */
+function countCommonWords(videoName, subName) {
+    const videoWords = new Set(videoName.split(/\s+/).filter(w => w.length > 2));
+    const subWords = new Set(subName.split(/\s+/).filter(w => w.length > 2));
+    let commonWords = 0;
+    for (const word of videoWords) {
+        if (subWords.has(word)) commonWords++;
+    }
+    return commonWords;
+}
+
+/**
+ * Compare la saison / les épisodes d'un sous-titre à l'épisode demandé
+ * Les infos fournies par la source (_season, _episodes, _seasonPack) priment sur le nom de release.
+ *
+ * @param {Object} subtitle - Sous-titre formaté
+ * @param {Object} releaseInfo - Release du sous-titre parsée (lib/release-parser)
+ * @param {Object} target - Épisode demandé (parseId)
+ * @param {number} [target.season] - Numéro de saison
+ * @param {number} [target.episode] - Numéro d'épisode
+ * @param {number} [target.absoluteEpisode] - Numéro absolu (anime), comparé aux releases sans saison
+ * @returns {string} 'match', 'mismatch', 'pack' (pack de la bonne saison) ou 'unknown'
+ */
+function matchEpisode(subtitle, releaseInfo, { season, episode, absoluteEpisode }) {
+    // Anime sans saison connue : seul le numéro absolu est comparable
+    const hasTarget = !!season && !!episode;
+    if (!hasTarget && !absoluteEpisode) {
+        return 'unknown';
+    }
+
+    const hasSeason = Number.isInteger(subtitle._season);
+    const seasons = hasSeason ? [subtitle._season] : releaseInfo.seasons || [];
+    const episodes = Array.isArray(subtitle._episodes) ? subtitle._episodes : releaseInfo.episodes || [];
+
+    if (hasTarget && seasons.length > 0 && !seasons.includes(season)) {
+        return 'mismatch';
+    }
+    if (hasTarget && (subtitle._seasonPack === true || (releaseInfo.seasonPack && episodes.length === 0))) {
+        return 'pack';
+    }
+
+    // Numérotation absolue (anime, "Titre - 05")
+    if (seasons.length === 0 && episodes.length > 0 && absoluteEpisode) {
+        return episodes.includes(absoluteEpisode) ? 'match' : 'mismatch';
+    }
+
+    // Épisode absent du nom, ou numérotations différentes (absolue / par saison) : rien à comparer
+    if (!hasTarget || seasons.length === 0 || episodes.length === 0) {
+        return 'unknown';
+    }
+    return episodes.includes(episode) ? 'match' : 'mismatch';
+}
+
+/**
+ * Calcule le score de correspondance entre un sous-titre et un fichier vidéo
+ *
+ * @param {Object} subtitle - Sous-titre avec ses infos (_release, _group, _corrected, _hi, _forced, _community)
+ * @param {Object} videoInfo - Infos du fichier vidéo parsées (lib/release-parser)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.hashMatch] - True si le hash correspond
+ * @param {string} [options.subtitleMode] - Préférence HI / forcés : bonus / pénalité (lib/subtitle-modes)
+ * @param {Object} [options.weights] - Poids des critères (loadMatchWeights)
+ * @param {Object} [options.target] - Épisode demandé { season, episode } (séries)
+ * @returns {Object} { score, breakdown (points par critère), releaseInfo (release du sous-titre parsée) }
+ */
+function calculateMatchScore(subtitle, videoInfo, { hashMatch = false, subtitleMode = 'all', weights = DEFAULT_MATCH_WEIGHTS, target = {} } = {}) {
+    const subRelease = subtitle._release || subtitle.release || subtitle.SubFileName || '';
+    const subInfo = parseReleaseName(subRelease);
+    const breakdown = {};
+    const award = (criterion, condition, points = weights[criterion]) => {
+        if (condition) breakdown[criterion] = points;
+    };
+
+    // Hash match = score parfait
+    if (hashMatch) {
+        award('hash', true);
+    } else {
+        // Groupe fourni explicitement par la source (ex: Addic7ed "Version KILLERS")
+        const subGroup = subtitle._group || subInfo.group;
+        const same = key => !!videoInfo[key] && !!subInfo[key] && videoInfo[key] === subInfo[key];
+
+        award('group', !!videoInfo.group && !!subGroup && videoInfo.group === subGroup);
+        award('resolution', same('resolution'));
+        award('source', same('source'));
+        award('remux', same('source') && videoInfo.remux && subInfo.remux);
+        award('codec', same('codec'));
+
+        // Le montage diffère souvent d'une plateforme à l'autre (logos, intro)
+        award('streamingService', same('streamingService'));
+
+        // Édition : même montage ou montage différent
+        award('edition', same('edition'));
+        award('editionMismatch', !!videoInfo.edition && !!subInfo.edition && videoInfo.edition !== subInfo.edition);
+
+        // REPACK / PROPER des deux côtés : même correctif de la release
+        award('repack', (videoInfo.repack && subInfo.repack) || (videoInfo.proper && subInfo.proper));
+
+        // Séries : épisode confirmé par la release, ou pack de saison à extraire
+        const episodeStatus = matchEpisode(subtitle, subInfo, target);
+        award('episode', episodeStatus === 'match');
+        award('seasonPack', episodeStatus === 'pack');
+
+        if (videoInfo.normalized && subInfo.normalized) {
+            const commonWords = countCommonWords(videoInfo.normalized, subInfo.normalized);
+            award('commonWords', commonWords > 0, Math.min(commonWords, weights.commonWords));
+        }
+
+        // Version corrigée (Addic7ed) : départage à score égal
+        award('corrected', subtitle._corrected === true);
+    }
+
+    // Uploader de confiance, bien noté, souvent téléchargé (y compris entre matchs par hash)
+    const community = Math.round(communityScore(subtitle._community) * weights.community);
+    award('community', community !== 0, community);
+
+    const total = Object.values(breakdown).reduce((sum, points) => sum + points, 0);
+
+    // Sans hash, plafonné sous le score d'un hash match
+    let score = hashMatch ? total : Math.max(0, Math.min(total, weights.hash - 1));
+
+    const modeScore = subtitleModeScore(subtitle, subtitleMode);
+    if (modeScore !== 0) {
+        breakdown.subtitleMode = modeScore;
+        score += modeScore;
+    }
+
+    return { score, breakdown, releaseInfo: subInfo };
+}
+
+module.exports = {
+    DEFAULT_MATCH_WEIGHTS,
+    loadMatchWeights,
+    matchEpisode,
+    calculateMatchScore
+};
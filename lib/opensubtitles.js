@@ -8,25 +8,81 @@
  * - La recherche retourne des URLs de proxy locales
  * - Le téléchargement réel se fait uniquement quand l'utilisateur clique
  *
+ * Avec un compte (username / password), le client se connecte via /login :
+ * le token JWT est envoyé sur /download (quota du compte au lieu du quota anonyme)
+ * et les requêtes passent par le base_url du compte (serveur VIP le cas échéant).
+ *
  * @module lib/opensubtitles
  */
 
 const fetch = require('node-fetch');
+const { DEFAULT_LANGUAGE, toStremioLang, toIso639_1, toOpenSubtitlesCode, limitPerLanguage } = require('./languages');
+const { RateLimitError, QuotaExceededError } = require('./errors');
+const { toOpenSubtitlesFilters } = require('./subtitle-modes');
+const { normalizeSignals } = require('./community');
 
 const BASE_URL = 'https://api.opensubtitles.com/api/v1';
 
-/** Nombre maximum de sous-titres à retourner (réduit pour limiter les requêtes) */
+/** Nombre maximum de sous-titres à retourner par langue (réduit pour limiter les requêtes) */
 const MAX_SUBTITLES = 5;
 
+/**
+ * Langue de la piste de référence pour l'alignement automatique (lib/alignment)
+ * Ajoutée à la recherche par hash même si l'utilisateur ne l'a pas choisie.
+ */
+const REFERENCE_LANGUAGE = 'en';
+
 /** Durée de vie du cache des liens download (3 heures en ms) */
 const CACHE_TTL = 3 * 60 * 60 * 1000;
 
+/** Intervalle minimum entre deux nettoyages du cache des liens (30 minutes en ms) */
+const CLEANUP_INTERVAL = 30 * 60 * 1000;
+
+/** Timeout du téléchargement du fichier en ms */
+const FILE_TIMEOUT = 10000;
+
+/** Timeout de la connexion au compte en ms (les téléchargements attendent le token) */
+const LOGIN_TIMEOUT = 10000;
+
+/** Délai avant une nouvelle tentative de connexion après un échec (15 minutes en ms) */
+const LOGIN_RETRY_DELAY = 15 * 60 * 1000;
+
+/**
+ * Calcule la date de remise à zéro du quota à partir d'une réponse /download
+ * reset_time_utc est une date ISO ; reset_time est soit une date, soit une durée
+ * ("23 hours and 52 minutes").
+ *
+ * @param {Object} data - Réponse de l'API
+ * @returns {number|null} Timestamp en ms ou null si absent
+ * @private
+ */
+function parseResetTime(data) {
+    for (const value of [data.reset_time_utc, data.reset_time]) {
+        const timestamp = value ? Date.parse(value) : NaN;
+        if (!Number.isNaN(timestamp)) {
+            return timestamp;
+        }
+    }
+
+    if (typeof data.reset_time !== 'string') {
+        return null;
+    }
+
+    const units = { hour: 3600, minute: 60, second: 1 };
+    let seconds = 0;
+    for (const [, value, unit] of data.reset_time.matchAll(/(\d+)\s*(hour|minute|second)/gi)) {
+        seconds += parseInt(value, 10) * units[unit.toLowerCase()];
+    }
+    return seconds > 0 ? Date.now() + seconds * 1000 : null;
+}
+
 /**
  * Cache simple en mémoire avec TTL
  */
 class SimpleCache {
     constructor() {
         this.cache = new Map();
+        this.lastCleanup = Date.now();
     }
 
     /**
@@ -55,6 +111,11 @@ class SimpleCache {
      * @param {number} ttl - Durée de vie en ms
      */
     set(key, value, ttl = CACHE_TTL) {
+        // Nettoyage à l'écriture (pas de timer par instance : un client est créé par clé utilisateur)
+        if (Date.now() - this.lastCleanup > CLEANUP_INTERVAL) {
+            this.cleanup();
+        }
+
         this.cache.set(key, {
             value,
             expiry: Date.now() + ttl
@@ -66,6 +127,7 @@ class SimpleCache {
      */
     cleanup() {
         const now = Date.now();
+        this.lastCleanup = now;
         for (const [key, item] of this.cache.entries()) {
             if (now > item.expiry) {
                 this.cache.delete(key);
@@ -75,18 +137,24 @@ class SimpleCache {
 }
 
 /**
- * Erreur de rate limiting
+ * Nom du fichier d'après l'URL du CDN (séquence % invalide ou nom vide : ${fileId}.srt)
+ *
+ * @param {string} downloadUrl - Lien de téléchargement
+ * @param {string} fileId - ID du fichier OpenSubtitles
+ * @returns {string} Nom du fichier
+ * @private
  */
-class RateLimitError extends Error {
-    constructor(retryAfter = null) {
-        super('Rate limit exceeded');
-        this.name = 'RateLimitError';
-        this.retryAfter = retryAfter;
+function filenameFromUrl(downloadUrl, fileId) {
+    try {
+        return decodeURIComponent(new URL(downloadUrl).pathname.split('/').pop()) || `${fileId}.srt`;
+    } catch (error) {
+        return `${fileId}.srt`;
     }
 }
 
 /**
  * Classe client pour l'API OpenSubtitles
+ * Implémente le contrat des sources (voir lib/providers)
  */
 class OpenSubtitlesClient {
     /**
@@ -94,8 +162,11 @@ class OpenSubtitlesClient {
      *
      * @param {string} apiKey - Clé API OpenSubtitles
      * @param {string} userAgent - User-Agent personnalisé (obligatoire)
+     * @param {Object} [credentials] - Compte OpenSubtitles (optionnel)
+     * @param {string} [credentials.username] - Nom d'utilisateur
+     * @param {string} [credentials.password] - Mot de passe
      */
-    constructor(apiKey, userAgent) {
+    constructor(apiKey, userAgent, credentials = {}) {
         if (!apiKey) {
             throw new Error('API Key OpenSubtitles requise');
         }
@@ -105,11 +176,14 @@ class OpenSubtitlesClient {
 
         this.apiKey = apiKey;
         this.userAgent = userAgent;
+        this.credentials = credentials && credentials.username && credentials.password ? credentials : null;
+        this.baseUrl = BASE_URL; // Remplacé par le base_url du compte après connexion (VIP)
+        this.token = null;
+        this.pendingLogin = null;
+        this.loginRetryAt = 0;
+        this.quota = null; // { requests, remaining, resetAt } d'après la dernière réponse /download
         this.downloadCache = new SimpleCache();
         this.pendingDownloads = new Map(); // Dédup in-flight
-
-        // Nettoyage périodique du cache (toutes les 30 min)
-        setInterval(() => this.downloadCache.cleanup(), 30 * 60 * 1000);
     }
 
     /**
@@ -117,12 +191,14 @@ class OpenSubtitlesClient {
      *
      * @param {string} endpoint - Endpoint API (ex: /subtitles)
      * @param {Object} params - Paramètres de requête
+     * @param {Object} [options] - Options de la requête
+     * @param {number} [options.timeout] - Timeout en ms
      * @returns {Promise<Object>} Réponse JSON de l'API
      * @throws {RateLimitError} Si rate limité
      * @private
      */
-    async _request(endpoint, params = {}) {
-        const url = new URL(`${BASE_URL}${endpoint}`);
+    async _request(endpoint, params = {}, options = {}) {
+        const url = new URL(`${this.baseUrl}${endpoint}`);
 
         Object.keys(params).forEach(key => {
             if (params[key] !== undefined && params[key] !== null) {
@@ -137,10 +213,19 @@ class OpenSubtitlesClient {
             'Accept': 'application/json'
         };
 
-        const response = await fetch(url.toString(), {
-            method: 'GET',
-            headers
-        });
+        const controller = new AbortController();
+        const timeoutId = options.timeout ? setTimeout(() => controller.abort(), options.timeout) : null;
+
+        let response;
+        try {
+            response = await fetch(url.toString(), {
+                method: 'GET',
+                headers,
+                signal: controller.signal
+            });
+        } finally {
+            clearTimeout(timeoutId);
+        }
 
         if (response.status === 429) {
             const retryAfter = response.headers.get('Retry-After');
@@ -157,19 +242,32 @@ class OpenSubtitlesClient {
     }
 
     /**
-     * Recherche des sous-titres français pour un contenu
+     * Recherche des sous-titres pour un contenu
      *
      * @param {Object} options - Options de recherche
-     * @param {string} options.imdbId - ID IMDB (format: tt1234567)
+     * @param {string} options.imdbId - ID IMDB (format: tt1234567), null si seul l'ID TMDB est connu
+     * @param {string} [options.tmdbId] - ID TMDB (prioritaire sur l'ID IMDB)
      * @param {string} options.type - Type de contenu: 'movie' ou 'episode'
      * @param {number} [options.season] - Numéro de saison (pour les séries)
      * @param {number} [options.episode] - Numéro d'épisode (pour les séries)
      * @param {string} [options.videoHash] - Hash OpenSubtitles du fichier vidéo
      * @param {number} [options.videoSize] - Taille du fichier en bytes
-     * @returns {Promise<Object>} Résultat { subtitles, hashMatches }
+     * @param {Array<string>} [options.languages] - Codes ISO 639-1 par ordre de priorité (défaut: fr)
+     * @param {string} [options.subtitleMode] - Préférence HI / forcés (lib/subtitle-modes)
+     * @param {string} [options.translatedPolicy] - Traductions automatiques / IA : 'bottom', 'hide' ou 'fallback'
+     * @returns {Promise<Object>} Résultat { subtitles, hashMatches, references }
      */
-    async searchSubtitles({ imdbId, type, season, episode, videoHash, videoSize }) {
-        console.log(`[OpenSubtitles] Recherche sous-titres FR pour ${imdbId} (${type})`);
+    async searchSubtitles({ imdbId, tmdbId, type, season, episode, videoHash, videoSize, languages = [DEFAULT_LANGUAGE], subtitleMode = 'all', translatedPolicy = 'bottom' }) {
+        // OpenSubtitles attend des codes triés alphabétiquement
+        const languageParam = languages.map(toOpenSubtitlesCode).sort().join(',');
+        const filters = toOpenSubtitlesFilters(subtitleMode);
+
+        // Traductions automatiques / IA : exclues par l'API si masquées, sinon classées par le handler
+        const translated = translatedPolicy === 'hide' ? 'exclude' : 'include';
+        filters.machine_translated = translated;
+        filters.ai_translated = translated;
+        const contentId = tmdbId ? `tmdb:${tmdbId}` : imdbId;
+        console.log(`[OpenSubtitles] Recherche sous-titres ${languageParam} pour ${contentId} (${type})`);
 
         if (season && episode) {
             console.log(`[OpenSubtitles] Saison ${season}, Episode ${episode}`);
@@ -177,40 +275,52 @@ class OpenSubtitlesClient {
 
         const result = {
             subtitles: [],
-            hashMatches: new Set() // IDs des sous-titres matchés par hash
+            hashMatches: new Set(), // IDs des sous-titres matchés par hash
+            references: [] // Match par hash hors langues demandées (référence d'alignement, non affichée)
         };
 
         // Recherche par hash si disponible (prioritaire)
         if (videoHash && videoSize) {
             console.log(`[OpenSubtitles] Recherche par hash: ${videoHash} (${videoSize} bytes)`);
             try {
-                const hashResult = await this._searchByHash(videoHash, videoSize);
+                const hashLanguages = languages.includes(REFERENCE_LANGUAGE) ? languages : [...languages, REFERENCE_LANGUAGE];
+                const hashResult = await this._searchByHash(videoHash, videoSize, hashLanguages.map(toOpenSubtitlesCode).sort().join(','), filters);
                 if (hashResult.length > 0) {
                     console.log(`[OpenSubtitles] ${hashResult.length} résultat(s) par hash (match parfait)`);
                     for (const sub of hashResult) {
                         result.hashMatches.add(sub.id);
+
+                        if (languages.includes(toIso639_1(sub.attributes && sub.attributes.language))) {
+                            result.subtitles.push(sub);
+                        } else if (result.references.length === 0) {
+                            result.references.push(sub);
+                        }
                     }
-                    result.subtitles.push(...hashResult);
                 }
             } catch (error) {
                 console.error(`[OpenSubtitles] Erreur recherche hash:`, error.message);
             }
         }
 
-        // Recherche classique par IMDB (complémentaire)
+        // Recherche classique par IMDB ou TMDB (complémentaire)
         const params = {
-            imdb_id: imdbId,
-            languages: 'fr',
+            languages: languageParam,
+            ...filters,
             order_by: 'download_count',
             order_direction: 'desc'
         };
 
         if (type === 'series' || type === 'episode') {
             params.type = 'episode';
+            // L'ID TMDB d'une série désigne la série, pas l'épisode
+            if (tmdbId) params.parent_tmdb_id = tmdbId;
+            else params.imdb_id = imdbId;
             if (season) params.season_number = season;
             if (episode) params.episode_number = episode;
         } else {
             params.type = 'movie';
+            if (tmdbId) params.tmdb_id = tmdbId;
+            else params.imdb_id = imdbId;
         }
 
         try {
@@ -219,21 +329,28 @@ class OpenSubtitlesClient {
             if (response.data && response.data.length > 0) {
                 // Filtre les doublons (déjà trouvés par hash)
                 const newSubs = response.data.filter(sub => !result.hashMatches.has(sub.id));
-                console.log(`[OpenSubtitles] ${response.data.length} résultat(s) par IMDB, ${newSubs.length} nouveaux`);
+                console.log(`[OpenSubtitles] ${response.data.length} résultat(s) par ID, ${newSubs.length} nouveaux`);
                 result.subtitles.push(...newSubs);
             } else {
-                console.log(`[OpenSubtitles] Aucun sous-titre trouvé par IMDB pour ${imdbId}`);
+                console.log(`[OpenSubtitles] Aucun sous-titre trouvé par ID pour ${contentId}`);
             }
         } catch (error) {
             if (error instanceof RateLimitError) {
-                console.error('[OpenSubtitles] Recherche IMDB abandonnée (rate limit)');
+                console.error('[OpenSubtitles] Recherche par ID abandonnée (rate limit)');
             } else {
-                console.error(`[OpenSubtitles] Erreur recherche IMDB:`, error.message);
+                console.error(`[OpenSubtitles] Erreur recherche par ID:`, error.message);
             }
         }
 
-        console.log(`[OpenSubtitles] Total: ${result.subtitles.length} sous-titre(s), limite à ${MAX_SUBTITLES}`);
-        result.subtitles = result.subtitles.slice(0, MAX_SUBTITLES);
+        console.log(`[OpenSubtitles] Total: ${result.subtitles.length} sous-titre(s), limite à ${MAX_SUBTITLES} par langue`);
+
+        // Les traductions automatiques ne prennent pas la place des sous-titres humains dans la limite
+        const isTranslated = sub => !!(sub.attributes && (sub.attributes.machine_translated || sub.attributes.ai_translated));
+        result.subtitles = [
+            ...result.subtitles.filter(sub => !isTranslated(sub)),
+            ...result.subtitles.filter(isTranslated)
+        ];
+        result.subtitles = limitPerLanguage(result.subtitles, sub => sub.attributes && sub.attributes.language, MAX_SUBTITLES);
 
         return result;
     }
@@ -243,13 +360,16 @@ class OpenSubtitlesClient {
      *
      * @param {string} movieHash - Hash du fichier vidéo
      * @param {number} movieSize - Taille du fichier en bytes
+     * @param {string} languages - Codes langues séparés par des virgules
+     * @param {Object} filters - Filtres HI / forcés ({ hearing_impaired, foreign_parts_only })
      * @returns {Promise<Array>} Sous-titres correspondants
      * @private
      */
-    async _searchByHash(movieHash, movieSize) {
+    async _searchByHash(movieHash, movieSize, languages, filters) {
         const params = {
             moviehash: movieHash,
-            languages: 'fr'
+            languages,
+            ...filters
         };
 
         const response = await this._request('/subtitles', params);
@@ -261,6 +381,255 @@ class OpenSubtitlesClient {
         return response.data;
     }
 
+    /**
+     * Vérifie la disponibilité de sous-titres pour un contenu (fonctionnalité meta)
+     *
+     * @param {string} imdbId - ID IMDB
+     * @param {string} type - Type ('movie' ou 'series')
+     * @param {Array<string>} languages - Codes ISO 639-1 recherchés
+     * @param {Object} [options] - Options
+     * @param {number} [options.timeout] - Timeout en ms
+     * @returns {Promise<Object>} { available, count, languages: { fr: n } }
+     * @throws {RateLimitError} Si rate limité
+     */
+    async checkAvailability(imdbId, type, languages, options = {}) {
+        const params = {
+            languages: languages.map(toOpenSubtitlesCode).sort().join(',')
+        };
+
+        if (type === 'movie') {
+            params.imdb_id = imdbId;
+            params.type = 'movie';
+        } else {
+            params.parent_imdb_id = imdbId;
+        }
+
+        const data = await this._request('/subtitles', params, options);
+        const count = data.total_count || (data.data ? data.data.length : 0);
+
+        // Avec une seule langue, total_count suffit ; sinon on compte sur la première page
+        const languageCounts = {};
+        if (languages.length === 1) {
+            languageCounts[languages[0]] = count;
+        } else {
+            for (const sub of data.data || []) {
+                const lang = toIso639_1(sub.attributes && sub.attributes.language);
+                if (lang) languageCounts[lang] = (languageCounts[lang] || 0) + 1;
+            }
+        }
+
+        return { available: count > 0, count, languages: languageCounts };
+    }
+
+    /**
+     * Se connecte au compte OpenSubtitles et mémorise le token JWT et le base_url
+     *
+     * @returns {Promise<string>} Token JWT
+     * @throws {RateLimitError} Si rate limité
+     * @private
+     */
+    async _login() {
+        console.log(`[OpenSubtitles] Connexion au compte ${this.credentials.username}`);
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), LOGIN_TIMEOUT);
+
+        let data;
+        try {
+            const response = await fetch(`${BASE_URL}/login`, {
+                method: 'POST',
+                headers: {
+                    'Api-Key': this.apiKey,
+                    'User-Agent': this.userAgent,
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({
+                    username: this.credentials.username,
+                    password: this.credentials.password
+                }),
+                signal: controller.signal
+            });
+
+            if (response.status === 429) {
+                const retryAfter = response.headers.get('Retry-After');
+                console.error(`[OpenSubtitles] ⚠️ Rate limit sur login! Retry-After: ${retryAfter || 'non spécifié'}s`);
+                throw new RateLimitError(retryAfter);
+            }
+
+            if (!response.ok) {
+                const errorBody = await response.text();
+                throw new Error(`Erreur login: ${response.status} - ${errorBody}`);
+            }
+
+            data = await response.json();
+        } catch (error) {
+            // Connexion bloquée : les téléchargements en attente du token repassent en anonyme
+            throw error.name === 'AbortError' ? new Error('Erreur login: timeout') : error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        if (!data.token) {
+            throw new Error('Erreur login: token absent de la réponse');
+        }
+
+        this.token = data.token;
+        // base_url sans schéma ni chemin (ex: vip-api.opensubtitles.com)
+        this.baseUrl = data.base_url ? `https://${data.base_url.replace(/^https?:\/\//, '').replace(/\/.*$/, '')}/api/v1` : BASE_URL;
+
+        const vip = data.user && data.user.vip ? ' (VIP)' : '';
+        const allowed = data.user && data.user.allowed_downloads ? `, ${data.user.allowed_downloads} téléchargements/jour` : '';
+        console.log(`[OpenSubtitles] Connecté${vip}${allowed}, base URL: ${this.baseUrl}`);
+        return this.token;
+    }
+
+    /**
+     * Retourne le token JWT, en se connectant si nécessaire
+     * Sans compte configuré, ou si la connexion échoue, les téléchargements restent anonymes.
+     *
+     * @param {string} [expiredToken] - Token refusé (401) : force une nouvelle connexion
+     *   s'il n'a pas déjà été renouvelé par une requête concurrente
+     * @returns {Promise<string|null>} Token ou null (mode anonyme)
+     * @throws {RateLimitError} Si rate limité
+     * @private
+     */
+    async _getToken(expiredToken = null) {
+        if (!this.credentials) {
+            return null;
+        }
+
+        if (expiredToken && this.token === expiredToken) {
+            this.token = null;
+        }
+
+        if (this.token) {
+            return this.token;
+        }
+
+        // Évite de retenter en boucle avec des identifiants invalides
+        if (Date.now() < this.loginRetryAt) {
+            return null;
+        }
+
+        // Dédup in-flight : une seule connexion pour les téléchargements simultanés
+        if (!this.pendingLogin) {
+            this.pendingLogin = this._login()
+                .catch(error => {
+                    if (error instanceof RateLimitError) throw error;
+                    console.error(`[OpenSubtitles] Connexion impossible (téléchargement anonyme):`, error.message);
+                    this.loginRetryAt = Date.now() + LOGIN_RETRY_DELAY;
+                    return null;
+                })
+                .finally(() => {
+                    this.pendingLogin = null;
+                });
+        }
+
+        return this.pendingLogin;
+    }
+
+    /**
+     * Résout le téléchargement d'un sous-titre pour le proxy
+     * Le fichier est récupéré (et non redirigé) pour que le proxy puisse le convertir en UTF-8.
+     *
+     * @param {string} fileId - ID du fichier (segment d'URL du proxy)
+     * @returns {Promise<Object|null>} { content, filename } ou null si introuvable
+     * @throws {RateLimitError} Si rate limité
+     */
+    async resolveDownload(fileId) {
+        const downloadUrl = await this.getDownloadLink(parseInt(fileId, 10));
+        if (!downloadUrl) {
+            return null;
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FILE_TIMEOUT);
+
+        try {
+            const response = await fetch(downloadUrl, {
+                method: 'GET',
+                headers: { 'User-Agent': this.userAgent },
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                // Lien expiré : il sera redemandé au prochain essai
+                this.downloadCache.cache.delete(parseInt(fileId, 10));
+                throw new Error(`Erreur téléchargement fichier: ${response.status}`);
+            }
+
+            return { content: await response.buffer(), filename: filenameFromUrl(downloadUrl, fileId) };
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Mémorise le quota de téléchargement renvoyé par /download
+     *
+     * @param {Object} data - Réponse de l'API ({ requests, remaining, reset_time, reset_time_utc })
+     * @private
+     */
+    _updateQuota(data) {
+        if (typeof data.remaining !== 'number') {
+            return;
+        }
+
+        this.quota = {
+            requests: typeof data.requests === 'number' ? data.requests : null,
+            remaining: data.remaining,
+            resetAt: parseResetTime(data)
+        };
+
+        const resetInfo = this.quota.resetAt ? ` (remise à zéro: ${new Date(this.quota.resetAt).toISOString()})` : '';
+        console.log(`[OpenSubtitles] Quota: ${Math.max(0, data.remaining)} téléchargement(s) restant(s)${resetInfo}`);
+    }
+
+    /**
+     * Indique si le quota de téléchargement est épuisé jusqu'à sa remise à zéro
+     * Utilisé par le handler pour reléguer les résultats OpenSubtitles derrière les autres sources.
+     *
+     * @returns {boolean}
+     */
+    isQuotaExhausted() {
+        return !!this.quota && this.quota.remaining <= 0 && !!this.quota.resetAt && Date.now() < this.quota.resetAt;
+    }
+
+    /**
+     * Délai avant la remise à zéro du quota (pour Retry-After)
+     *
+     * @returns {number|null} Secondes ou null si inconnu
+     * @private
+     */
+    _secondsUntilReset() {
+        if (!this.quota || !this.quota.resetAt) {
+            return null;
+        }
+        return Math.max(1, Math.ceil((this.quota.resetAt - Date.now()) / 1000));
+    }
+
+    /**
+     * Retourne l'état du client pour /health
+     *
+     * @returns {Object} Statistiques
+     */
+    health() {
+        return {
+            cachedDownloadLinks: this.downloadCache.cache.size,
+            pendingDownloads: this.pendingDownloads.size,
+            account: this.credentials ? this.credentials.username : null,
+            loggedIn: !!this.token,
+            baseUrl: this.baseUrl,
+            quota: this.quota ? {
+                requests: this.quota.requests,
+                remaining: Math.max(0, this.quota.remaining),
+                resetAt: this.quota.resetAt ? new Date(this.quota.resetAt).toISOString() : null,
+                exhausted: this.isQuotaExhausted()
+            } : null
+        };
+    }
+
     /**
      * Récupère le lien de téléchargement d'un sous-titre (appelé par le proxy)
      * Utilise un mécanisme de dédup in-flight pour éviter les appels simultanés
@@ -298,37 +667,69 @@ class OpenSubtitlesClient {
 
     /**
      * Effectue réellement l'appel /download
+     * Avec un compte, le token est envoyé en Bearer ; un 401 (token expiré) déclenche
+     * une reconnexion puis un second essai.
+     * Le quota renvoyé est mémorisé : une fois épuisé, l'API n'est plus appelée avant sa remise à zéro.
      *
      * @param {number} fileId - ID du fichier
+     * @param {string} [expiredToken] - Token refusé au premier essai
      * @returns {Promise<string|null>} URL de téléchargement
+     * @throws {QuotaExceededError} Si le quota de téléchargement est épuisé
+     * @throws {RateLimitError} Si rate limité
      * @private
      */
-    async _fetchDownloadLink(fileId) {
+    async _fetchDownloadLink(fileId, expiredToken = null) {
+        if (this.isQuotaExhausted()) {
+            console.error(`[OpenSubtitles] ⚠️ Quota épuisé, téléchargement refusé jusqu'à ${new Date(this.quota.resetAt).toISOString()}`);
+            throw new QuotaExceededError(this._secondsUntilReset());
+        }
+
         console.log(`[OpenSubtitles] Récupération lien download pour file_id: ${fileId}`);
 
-        const response = await fetch(`${BASE_URL}/download`, {
+        const token = await this._getToken(expiredToken);
+        const headers = {
+            'Api-Key': this.apiKey,
+            'User-Agent': this.userAgent,
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        };
+
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        const response = await fetch(`${this.baseUrl}/download`, {
             method: 'POST',
-            headers: {
-                'Api-Key': this.apiKey,
-                'User-Agent': this.userAgent,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
+            headers,
             body: JSON.stringify({ file_id: fileId })
         });
 
+        if (response.status === 401 && token && !expiredToken) {
+            console.log('[OpenSubtitles] Token expiré, reconnexion');
+            return this._fetchDownloadLink(fileId, token);
+        }
+
         if (response.status === 429) {
             const retryAfter = response.headers.get('Retry-After');
             console.error(`[OpenSubtitles] ⚠️ Rate limit sur download! Retry-After: ${retryAfter || 'non spécifié'}s`);
             throw new RateLimitError(retryAfter);
         }
 
+        // 406 : quota journalier atteint (la réponse porte remaining / reset_time)
+        if (response.status === 406) {
+            const data = await response.json().catch(() => ({}));
+            this._updateQuota({ ...data, remaining: typeof data.remaining === 'number' ? data.remaining : 0 });
+            console.error(`[OpenSubtitles] ⚠️ Quota de téléchargement épuisé: ${data.message || 'sans détail'}`);
+            throw new QuotaExceededError(this._secondsUntilReset());
+        }
+
         if (!response.ok) {
             const errorBody = await response.text();
             throw new Error(`Erreur download: ${response.status} - ${errorBody}`);
         }
 
         const data = await response.json();
+        this._updateQuota(data);
 
         if (data.link) {
             // Cache le lien pour 3h
@@ -344,15 +745,17 @@ class OpenSubtitlesClient {
      * Formate les sous-titres OpenSubtitles pour Stremio
      * Retourne des URLs de proxy au lieu d'appeler /download
      *
-     * @param {Object} searchResult - Résultat de searchSubtitles { subtitles, hashMatches }
-     * @param {string} addonUrl - URL publique de l'addon pour le proxy
+     * Les références d'alignement sont marquées _reference (retirées avant l'envoi à Stremio).
+     *
+     * @param {Object} searchResult - Résultat de searchSubtitles { subtitles, hashMatches, references }
+     * @param {string} addonUrl - URL publique de l'addon pour le proxy (incluant la config utilisateur)
      * @returns {Array} Liste formatée pour Stremio avec infos de matching
      */
     formatForStremio(searchResult, addonUrl) {
         const formatted = [];
-        const { subtitles, hashMatches } = searchResult;
+        const { subtitles, hashMatches, references = [] } = searchResult;
 
-        for (const sub of subtitles) {
+        for (const sub of [...subtitles, ...references]) {
             try {
                 const attributes = sub.attributes;
                 const files = attributes.files || [];
@@ -367,18 +770,43 @@ class OpenSubtitlesClient {
 
                 const releaseInfo = attributes.release || 'Unknown';
                 const isHashMatch = hashMatches.has(sub.id);
+                const episode = attributes.feature_details && attributes.feature_details.feature_type === 'Episode'
+                    ? attributes.feature_details
+                    : null;
 
                 // ID descriptif (au cas où affiché dans Variants)
                 const matchBadge = isHashMatch ? '✓ ' : '';
-                const variantId = `[OS] ${matchBadge}${releaseInfo}`;
+                const translated = attributes.ai_translated ? 'ai' : attributes.machine_translated ? 'machine' : null;
+                const flags = `${attributes.hearing_impaired ? ' [HI]' : ''}${attributes.foreign_parts_only ? ' [Forcés]' : ''}`
+                    + `${translated === 'ai' ? ' [Trad. IA]' : translated === 'machine' ? ' [Trad. auto]' : ''}`;
+                const variantId = `[OS] ${matchBadge}${releaseInfo}${flags}`;
 
                 formatted.push({
                     id: variantId,
                     url: proxyUrl,
-                    lang: 'fre',
+                    lang: toStremioLang(attributes.language) || attributes.language,
                     // Métadonnées internes pour le scoring
                     _release: releaseInfo,
-                    _hashMatch: isHashMatch
+                    _hashMatch: isHashMatch,
+                    _hi: !!attributes.hearing_impaired,
+                    _forced: !!attributes.foreign_parts_only,
+                    // Traduction automatique ('machine') ou IA ('ai'), voir config.translatedPolicy
+                    _translated: translated,
+                    _reference: references.includes(sub),
+                    // Frame rate de la release (conversion des fichiers MicroDVD)
+                    _fps: attributes.fps || null,
+                    // Épisode du sous-titre (un match par hash peut désigner un autre épisode)
+                    _season: episode && episode.season_number ? episode.season_number : null,
+                    _episodes: episode && episode.episode_number ? [episode.episode_number] : null,
+                    // Signaux communautaires (classement quand la release ne suffit pas)
+                    _community: normalizeSignals({
+                        downloads: attributes.download_count,
+                        rating: attributes.ratings,
+                        votes: attributes.votes,
+                        trusted: attributes.from_trusted,
+                        uploaderRank: attributes.uploader && attributes.uploader.rank,
+                        uploadDate: attributes.upload_date
+                    })
                 });
 
             } catch (error) {
@@ -392,5 +820,8 @@ class OpenSubtitlesClient {
     }
 }
 
+/** Nombre maximum de résultats par langue (affiché au démarrage) */
+OpenSubtitlesClient.MAX_SUBTITLES = MAX_SUBTITLES;
+
 module.exports = OpenSubtitlesClient;
 module.exports.RateLimitError = RateLimitError;
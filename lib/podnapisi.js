@@ -0,0 +1,359 @@
+/**
+ * Client Podnapisi
+ *
+ * Récupère les sous-titres de films et séries depuis Podnapisi (aucune clé requise).
+ * La recherche se fait par titre, année, saison et épisode (pas de recherche par
+ * ID IMDB ni par hash) : le titre et l'année sont résolus via Cinemeta.
+ * Podnapisi livre des archives zip, les téléchargements passent donc par le proxy
+ * de l'addon qui extrait le fichier de sous-titres.
+ *
+ * @module lib/podnapisi
+ */
+
+const fetch = require('node-fetch');
+const { DEFAULT_LANGUAGE, toStremioLang, toIso639_1, limitPerLanguage } = require('./languages');
+const { extractSubtitle, isZip } = require('./archive');
+const { RateLimitError } = require('./errors');
+const { matchesSubtitleMode, isForcedRelease } = require('./subtitle-modes');
+const { normalizeSignals } = require('./community');
+
+const BASE_URL = 'https://www.podnapisi.net';
+
+/** Nombre maximum de sous-titres à retourner par langue */
+const MAX_SUBTITLES = 5;
+
+/** Timeout des requêtes en ms */
+const REQUEST_TIMEOUT = 10000;
+
+/** Type de contenu Podnapisi par type Stremio */
+const MOVIE_TYPES = {
+    movie: 'movie',
+    series: 'tv-series'
+};
+
+/**
+ * Classe client pour Podnapisi
+ * Implémente le contrat des sources (voir lib/providers)
+ */
+class PodnapisiClient {
+    /**
+     * Crée une instance du client Podnapisi
+     *
+     * @param {Object} options - Dépendances
+     * @param {CinemetaClient} options.cinemeta - Client Cinemeta (résolution titre / année)
+     * @param {string} [options.userAgent] - User-Agent des requêtes
+     */
+    constructor({ cinemeta, userAgent }) {
+        if (!cinemeta) {
+            throw new Error('Client Cinemeta requis');
+        }
+
+        this.cinemeta = cinemeta;
+        this.userAgent = userAgent || 'stremio-subtitles-fr v1.0';
+        this.titles = new Map(); // type:imdbId -> { title, year }
+    }
+
+    /**
+     * Effectue une requête HTTP vers Podnapisi
+     *
+     * @param {string} path - Chemin (ex: /subtitles/search/advanced)
+     * @param {Object} [options] - Options
+     * @param {URLSearchParams} [options.params] - Paramètres de requête
+     * @param {boolean} [options.json] - Demande une réponse JSON
+     * @param {number} [options.timeout] - Timeout en ms
+     * @returns {Promise<Response|null>} Réponse ou null si 404
+     * @throws {RateLimitError} Si rate limité
+     * @private
+     */
+    async _fetch(path, options = {}) {
+        const query = options.params ? `?${options.params}` : '';
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), options.timeout || REQUEST_TIMEOUT);
+
+        try {
+            const response = await fetch(`${BASE_URL}${path}${query}`, {
+                method: 'GET',
+                headers: {
+                    'User-Agent': this.userAgent,
+                    'Accept': options.json ? 'application/json' : '*/*'
+                },
+                signal: controller.signal
+            });
+
+            if (response.status === 404) {
+                return null;
+            }
+
+            if (response.status === 429) {
+                const retryAfter = response.headers.get('Retry-After');
+                console.error(`[Podnapisi] ⚠️ Rate limit atteint! Retry-After: ${retryAfter || 'non spécifié'}s`);
+                throw new RateLimitError(retryAfter);
+            }
+
+            if (!response.ok) {
+                throw new Error(`Erreur Podnapisi: ${response.status}`);
+            }
+
+            return response;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Résout le titre et l'année à partir de l'ID IMDB (via Cinemeta)
+     *
+     * @param {string} type - Type de contenu ('movie' ou 'series')
+     * @param {string} imdbId - ID IMDB
+     * @returns {Promise<Object|null>} { title, year } ou null
+     * @private
+     */
+    async _getTitle(type, imdbId) {
+        const cacheKey = `${type}:${imdbId}`;
+        if (this.titles.has(cacheKey)) {
+            return this.titles.get(cacheKey);
+        }
+
+        const meta = await this.cinemeta.getMeta(type, imdbId);
+        if (!meta || !meta.name) {
+            return null;
+        }
+
+        // Séries : "2005–2013", on garde l'année de début
+        const year = parseInt(String(meta.year || meta.releaseInfo || ''), 10);
+        const info = { title: meta.name, year: Number.isNaN(year) ? null : year };
+
+        this.titles.set(cacheKey, info);
+        return info;
+    }
+
+    /**
+     * Interroge la recherche avancée de Podnapisi
+     *
+     * @param {Object} criteria - Critères
+     * @param {string} criteria.title - Titre du film / de la série
+     * @param {number|null} criteria.year - Année de sortie
+     * @param {string} criteria.type - Type de contenu ('movie' ou 'series')
+     * @param {number} [criteria.season] - Numéro de saison
+     * @param {number} [criteria.episode] - Numéro d'épisode
+     * @param {Array<string>} criteria.languages - Codes ISO 639-1
+     * @param {Object} [options] - Options de la requête
+     * @returns {Promise<Array>} Sous-titres { pid, language, releases, hi, downloads }
+     * @private
+     */
+    async _search({ title, year, type, season, episode, languages }, options = {}) {
+        const params = new URLSearchParams({
+            keywords: title,
+            movie_type: MOVIE_TYPES[type]
+        });
+
+        if (year) params.set('year', String(year));
+        if (season) params.set('seasons', String(season));
+        if (episode) params.set('episodes', String(episode));
+        for (const language of languages) {
+            params.append('language', language);
+        }
+
+        const response = await this._fetch('/subtitles/search/advanced', { ...options, params, json: true });
+        if (!response) {
+            return [];
+        }
+
+        const data = await response.json();
+        return this._parseResults(data);
+    }
+
+    /**
+     * Convertit la réponse JSON de la recherche
+     *
+     * @param {Object} data - Réponse de l'API
+     * @returns {Array} Sous-titres { pid, language, releases, hi, downloads }
+     * @private
+     */
+    _parseResults(data) {
+        if (!data || !Array.isArray(data.data)) {
+            return [];
+        }
+
+        const subtitles = [];
+
+        for (const item of data.data) {
+            const language = toIso639_1(item.language);
+            const pid = item.pid || item.id;
+            if (!language || !pid) continue;
+
+            const flags = Array.isArray(item.flags) ? item.flags : [];
+
+            subtitles.push({
+                pid: String(pid),
+                language,
+                releases: Array.isArray(item.releases) ? item.releases.filter(Boolean) : [],
+                hi: flags.includes('hearing_impaired'),
+                downloads: item.stats && item.stats.downloads ? item.stats.downloads : 0
+            });
+        }
+
+        return subtitles;
+    }
+
+    /**
+     * Recherche des sous-titres
+     *
+     * @param {Object} options - Options de recherche
+     * @param {string} options.imdbId - ID IMDB (format: tt1234567)
+     * @param {string} options.type - Type de contenu ('movie' ou 'series')
+     * @param {number} [options.season] - Numéro de saison (séries)
+     * @param {number} [options.episode] - Numéro d'épisode (séries)
+     * @param {Array<string>} [options.languages] - Codes ISO 639-1 par ordre de priorité (défaut: fr)
+     * @param {string} [options.subtitleMode] - Préférence HI / forcés (lib/subtitle-modes)
+     * @returns {Promise<Array>} Liste des sous-titres trouvés
+     */
+    async searchSubtitles({ imdbId, type, season, episode, languages = [DEFAULT_LANGUAGE], subtitleMode = 'all' }) {
+        if (!MOVIE_TYPES[type] || (type === 'series' && (!season || !episode))) {
+            return [];
+        }
+
+        try {
+            const info = await this._getTitle(type, imdbId);
+            if (!info) {
+                console.log(`[Podnapisi] Titre introuvable pour ${imdbId}`);
+                return [];
+            }
+
+            const episodeInfo = type === 'series' ? ` S${season}E${episode}` : '';
+            console.log(`[Podnapisi] Recherche sous-titres ${languages.join(',')} pour "${info.title}" (${info.year || '?'})${episodeInfo}`);
+
+            const subtitles = (await this._search({ ...info, type, season, episode, languages }))
+                .filter(sub => languages.includes(sub.language))
+                .filter(sub => matchesSubtitleMode({ hi: sub.hi, forced: isForcedRelease(sub.releases.join(' ')) }, subtitleMode))
+                .sort((a, b) => b.downloads - a.downloads)
+                // Épisode demandé, pour extraire le bon fichier d'un pack de saison
+                .map(sub => ({
+                    ...sub,
+                    fileId: type === 'series'
+                        ? `${sub.pid}_S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`
+                        : sub.pid
+                }));
+
+            console.log(`[Podnapisi] ${subtitles.length} sous-titre(s) trouvé(s) pour ${imdbId}`);
+
+            return limitPerLanguage(subtitles, sub => sub.language, MAX_SUBTITLES);
+        } catch (error) {
+            console.error(`[Podnapisi] Erreur recherche ${imdbId}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Vérifie la disponibilité de sous-titres (fonctionnalité meta)
+     *
+     * @param {string} imdbId - ID IMDB
+     * @param {string} type - Type ('movie' ou 'series')
+     * @param {Array<string>} languages - Codes ISO 639-1 recherchés
+     * @param {Object} [options] - Options
+     * @param {number} [options.timeout] - Timeout en ms
+     * @returns {Promise<Object|null>} { available, count, languages: { fr: n } } ou null si titre inconnu
+     * @throws {RateLimitError} Si rate limité
+     */
+    async checkAvailability(imdbId, type, languages, options = {}) {
+        if (!MOVIE_TYPES[type]) {
+            return { available: false, count: 0, languages: {} };
+        }
+
+        const info = await this._getTitle(type, imdbId);
+        if (!info) {
+            return null;
+        }
+
+        const results = await this._search({ ...info, type, languages }, options);
+        const languageCounts = {};
+        let count = 0;
+
+        for (const sub of results) {
+            if (!languages.includes(sub.language)) continue;
+            languageCounts[sub.language] = (languageCounts[sub.language] || 0) + 1;
+            count++;
+        }
+
+        return { available: count > 0, count, languages: languageCounts };
+    }
+
+    /**
+     * Télécharge et extrait un sous-titre pour le proxy
+     *
+     * @param {string} fileId - Identifiant public du sous-titre, suffixé de l'épisode pour une série (ex: aBc1_S01E02)
+     * @returns {Promise<Object|null>} { content, filename } ou null si introuvable
+     * @throws {RateLimitError} Si rate limité
+     */
+    async resolveDownload(fileId) {
+        const episodeMatch = fileId.match(/^(.+)_S(\d+)E(\d+)$/i);
+        const pid = episodeMatch ? episodeMatch[1] : fileId;
+        const target = episodeMatch
+            ? { season: parseInt(episodeMatch[2], 10), episode: parseInt(episodeMatch[3], 10) }
+            : {};
+
+        console.log(`[Podnapisi] Téléchargement de l'archive ${pid}${episodeMatch ? ` (S${target.season}E${target.episode})` : ''}`);
+
+        const response = await this._fetch(`/subtitles/${pid}/download`);
+        if (!response) {
+            return null;
+        }
+
+        const buffer = await response.buffer();
+        if (!isZip(buffer)) {
+            console.error(`[Podnapisi] Réponse inattendue (pas une archive zip) pour ${pid}`);
+            return null;
+        }
+
+        const file = extractSubtitle(buffer, target);
+        if (!file) {
+            console.error(`[Podnapisi] Aucun sous-titre dans l'archive ${pid}`);
+            return null;
+        }
+
+        console.log(`[Podnapisi] Fichier extrait: ${file.name}`);
+        return { content: file.content, filename: file.name };
+    }
+
+    /**
+     * Retourne l'état du client pour /health
+     *
+     * @returns {Object} Statistiques
+     */
+    health() {
+        return { cachedTitles: this.titles.size };
+    }
+
+    /**
+     * Formate les sous-titres Podnapisi pour Stremio
+     * Retourne des URLs de proxy (archives zip extraites à la volée)
+     *
+     * @param {Array} subtitles - Liste des sous-titres Podnapisi
+     * @param {string} addonUrl - URL publique de l'addon pour le proxy
+     * @returns {Array} Liste formatée pour Stremio
+     */
+    formatForStremio(subtitles, addonUrl) {
+        const formatted = subtitles.map(sub => {
+            const release = sub.releases[0] || 'Unknown';
+            const isHearingImpaired = sub.hi ? ' [HI]' : '';
+
+            return {
+                id: `[Podnapisi] ${release}${isHearingImpaired}`,
+                url: `${addonUrl}/proxy/podnapisi/${sub.fileId || sub.pid}`,
+                lang: toStremioLang(sub.language),
+                // Métadonnées internes pour le scoring
+                _release: release,
+                _hi: sub.hi,
+                _community: normalizeSignals({ downloads: sub.downloads })
+            };
+        });
+
+        console.log(`[Podnapisi] ${formatted.length} sous-titre(s) formaté(s) pour Stremio (via proxy)`);
+        return formatted;
+    }
+}
+
+/** Nombre maximum de résultats par langue (affiché au démarrage) */
+PodnapisiClient.MAX_SUBTITLES = MAX_SUBTITLES;
+
+module.exports = PodnapisiClient;
@@ -0,0 +1,275 @@
+/**
+ * Registre des sources de sous-titres
+ *
+ * Chaque source est décrite par une entrée du registre et son client
+ * implémente un contrat commun :
+ * - searchSubtitles(query) : recherche brute ({ imdbId, tmdbId, type, season, episode,
+ *   videoHash, videoSize, languages, subtitleMode, translatedPolicy }) ; imdbId est null
+ *   pour un ID TMDB sans correspondance IMDB (seules les sources tmdbIds sont alors interrogées)
+ * - formatForStremio(results, baseUrl) : conversion au format Stremio
+ *   (baseUrl sert à construire les URLs du proxy)
+ * - checkAvailability(imdbId, type, languages, options) : { available, count, languages }
+ * - resolveDownload(fileId) : { content, filename } ou { redirect } ou null,
+ *   appelé par /proxy/:proxyPath/:fileId (uniquement pour les sources qui déclarent un proxyPath).
+ *   Le contenu est converti en UTF-8 par le proxy ; une redirection ne peut pas l'être.
+ * - health() : statistiques exposées sur /health
+ * - isQuotaExhausted() (optionnel) : true si les téléchargements sont refusés jusqu'à la
+ *   remise à zéro du quota ; les résultats de la source sont alors relégués en fin de liste
+ *
+ * Ajouter une source revient à ajouter une entrée dans PROVIDERS.
+ *
+ * @module lib/providers
+ */
+
+const OpenSubtitlesClient = require('./opensubtitles');
+const SubDLClient = require('./subdl');
+const YifyClient = require('./yify');
+const Addic7edClient = require('./addic7ed');
+const PodnapisiClient = require('./podnapisi');
+
+/** Nombre maximum de clients créés pour des clés utilisateur (les moins récemment utilisés sont libérés) */
+const MAX_USER_CLIENTS = 200;
+
+/**
+ * Définition des sources disponibles
+ *
+ * - id : identifiant utilisé dans la configuration (config.sources)
+ * - name : nom affiché
+ * - prefix : préfixe court utilisé dans les libellés (ex: [OS])
+ * - types : types de contenu supportés
+ * - apiKeyConfig : champ de la config utilisateur contenant la clé personnelle (null si sans clé)
+ * - proxyPath : segment d'URL du proxy (/proxy/:proxyPath/:fileId), null si liens directs
+ * - fileIdPattern : validation du fileId reçu par le proxy
+ * - maxPerLanguage : nombre maximum de résultats gardés par langue
+ * - tmdbIds : la recherche accepte un ID TMDB (tmdbId), utilisé à la place de l'ID IMDB
+ * - create : fabrique du client ({ apiKey, userAgent, cinemeta, credentials })
+ */
+const PROVIDERS = [
+    {
+        id: 'opensubtitles',
+        name: 'OpenSubtitles',
+        prefix: 'OS',
+        types: ['movie', 'series'],
+        apiKeyConfig: 'osApiKey',
+        proxyPath: 'os',
+        fileIdPattern: /^\d+$/,
+        tmdbIds: true,
+        maxPerLanguage: OpenSubtitlesClient.MAX_SUBTITLES,
+        create: ({ apiKey, userAgent, credentials }) => new OpenSubtitlesClient(apiKey, userAgent, credentials)
+    },
+    {
+        id: 'subdl',
+        name: 'SubDL',
+        prefix: 'SubDL',
+        types: ['movie', 'series'],
+        apiKeyConfig: 'subdlApiKey',
+        proxyPath: 'subdl',
+        fileIdPattern: /^[a-z0-9-]+(_s\d+e\d+)?$/i,
+        tmdbIds: true,
+        maxPerLanguage: SubDLClient.MAX_SUBTITLES,
+        create: ({ apiKey }) => new SubDLClient(apiKey)
+    },
+    {
+        id: 'yify',
+        name: 'YIFY',
+        prefix: 'YIFY',
+        types: ['movie'],
+        apiKeyConfig: null,
+        proxyPath: 'yify',
+        fileIdPattern: /^[a-z0-9-]+$/i,
+        maxPerLanguage: YifyClient.MAX_SUBTITLES,
+        create: () => new YifyClient()
+    },
+    {
+        id: 'addic7ed',
+        name: 'Addic7ed',
+        prefix: 'Addic7ed',
+        types: ['series'],
+        apiKeyConfig: null,
+        proxyPath: 'addic7ed',
+        fileIdPattern: /^(original|updated)(-\d+)+$/,
+        maxPerLanguage: Addic7edClient.MAX_SUBTITLES,
+        create: ({ cinemeta }) => new Addic7edClient({ cinemeta })
+    },
+    {
+        id: 'podnapisi',
+        name: 'Podnapisi',
+        prefix: 'Podnapisi',
+        types: ['movie', 'series'],
+        apiKeyConfig: null,
+        proxyPath: 'podnapisi',
+        fileIdPattern: /^[A-Za-z0-9_-]+$/,
+        maxPerLanguage: PodnapisiClient.MAX_SUBTITLES,
+        create: ({ cinemeta, userAgent }) => new PodnapisiClient({ cinemeta, userAgent })
+    }
+];
+
+/**
+ * Vérifie qu'une clé API est renseignée (et n'est pas la valeur d'exemple)
+ *
+ * @param {string} key - Clé API
+ * @returns {boolean}
+ */
+function isValidKey(key) {
+    return !!key && key !== 'your_api_key_here';
+}
+
+/**
+ * Retrouve la définition d'une source par son identifiant
+ *
+ * @param {string} id - Identifiant de la source
+ * @returns {Object|undefined}
+ */
+function getProviderDefinition(id) {
+    return PROVIDERS.find(entry => entry.id === id);
+}
+
+/**
+ * Registre des clients actifs
+ *
+ * Les clients utilisant les clés serveur sont créés au démarrage ;
+ * ceux des clés personnelles sont créés à la demande puis réutilisés
+ * pour conserver leurs caches (au plus MAX_USER_CLIENTS, les moins récemment utilisés sont libérés).
+ */
+class ProviderRegistry {
+    /**
+     * Crée le registre
+     *
+     * @param {Object} options - Réglages serveur
+     * @param {Object} options.apiKeys - Clés API serveur par id de source
+     * @param {Object} [options.enabled] - Activation des sources sans clé par id (ex: { yify: false })
+     * @param {Object} [options.credentials] - Identifiants de compte serveur par id de source
+     *   (ex: { opensubtitles: { username, password } }), jamais utilisés avec une clé utilisateur
+     * @param {string} options.userAgent - User-Agent des requêtes
+     * @param {CinemetaClient} options.cinemeta - Client Cinemeta (sources résolvant les titres)
+     */
+    constructor({ apiKeys = {}, enabled = {}, credentials = {}, userAgent, cinemeta }) {
+        this.userAgent = userAgent;
+        this.cinemeta = cinemeta;
+        this.serverClients = new Map();
+        this.userClients = new Map();
+
+        for (const entry of PROVIDERS) {
+            const apiKey = apiKeys[entry.id];
+
+            if (entry.apiKeyConfig && !isValidKey(apiKey)) {
+                continue;
+            }
+
+            // Les sources sans clé sont actives sauf désactivation explicite
+            if (!entry.apiKeyConfig && enabled[entry.id] === false) {
+                continue;
+            }
+
+            this.serverClients.set(entry.id, entry.create({ apiKey, userAgent, cinemeta, credentials: credentials[entry.id] }));
+            console.log(`[Providers] Source activée: ${entry.name}${entry.proxyPath ? ' (avec proxy)' : ''}`);
+        }
+    }
+
+    /**
+     * Retourne les sources actives côté serveur
+     *
+     * @returns {Array<Object>} Définitions des sources activées
+     */
+    getServerDefinitions() {
+        return PROVIDERS.filter(entry => this.serverClients.has(entry.id));
+    }
+
+    /**
+     * Résout le client d'une source pour une configuration
+     * La clé personnelle de l'utilisateur est prioritaire sur la clé serveur.
+     *
+     * @param {Object} entry - Définition de la source
+     * @param {Object} config - Configuration utilisateur normalisée
+     * @returns {Object|null} Client ou null si la source n'est pas utilisable
+     */
+    getClient(entry, config) {
+        const userKey = entry.apiKeyConfig ? config[entry.apiKeyConfig] : null;
+
+        if (!userKey) {
+            return this.serverClients.get(entry.id) || null;
+        }
+
+        const cacheKey = `${entry.id}:${userKey}`;
+        let client = this.userClients.get(cacheKey);
+
+        if (client) {
+            // Remise en fin de liste (LRU)
+            this.userClients.delete(cacheKey);
+        } else {
+            client = entry.create({ apiKey: userKey, userAgent: this.userAgent, cinemeta: this.cinemeta });
+            console.log(`[Providers] Client ${entry.name} créé pour une clé utilisateur`);
+
+            // Les clés viennent de l'URL : n'importe qui peut en envoyer de nouvelles
+            if (this.userClients.size >= MAX_USER_CLIENTS) {
+                this.userClients.delete(this.userClients.keys().next().value);
+            }
+        }
+
+        this.userClients.set(cacheKey, client);
+        return client;
+    }
+
+    /**
+     * Retourne les sources à interroger pour une configuration et un type de contenu
+     *
+     * @param {Object} config - Configuration utilisateur normalisée
+     * @param {string} [type] - Type de contenu ('movie' ou 'series')
+     * @returns {Array<Object>} Liste de { entry, client }
+     */
+    getProviders(config, type = null) {
+        const providers = [];
+
+        for (const entry of PROVIDERS) {
+            if (!config.sources.includes(entry.id)) continue;
+            if (type && !entry.types.includes(type)) continue;
+
+            const client = this.getClient(entry, config);
+            if (client) {
+                providers.push({ entry, client });
+            }
+        }
+
+        return providers;
+    }
+
+    /**
+     * Retourne la source servie par un chemin de proxy
+     * La préférence de sources de l'utilisateur est ignorée : le lien a déjà été proposé.
+     *
+     * @param {string} proxyPath - Segment d'URL (ex: os)
+     * @param {Object} config - Configuration utilisateur normalisée
+     * @returns {Object|null} { entry, client } ou null
+     */
+    getProxyProvider(proxyPath, config) {
+        const entry = PROVIDERS.find(e => e.proxyPath && e.proxyPath === proxyPath);
+        if (!entry) return null;
+
+        const client = this.getClient(entry, config);
+        return client ? { entry, client } : null;
+    }
+
+    /**
+     * Retourne l'état des sources pour /health
+     *
+     * @returns {Object} Statistiques par source
+     */
+    health() {
+        const result = {};
+        for (const entry of this.getServerDefinitions()) {
+            result[entry.id] = {
+                name: entry.name,
+                ...this.serverClients.get(entry.id).health()
+            };
+        }
+        result.userClients = this.userClients.size;
+        return result;
+    }
+}
+
+module.exports = {
+    PROVIDERS,
+    ProviderRegistry,
+    getProviderDefinition,
+    isValidKey
+};
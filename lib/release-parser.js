@@ -0,0 +1,336 @@
+/**
+ * Analyse des noms de release (fichier vidéo et sous-titres)
+ *
+ * Le nom du fichier vidéo envoyé par Stremio et les noms de release des sous-titres
+ * passent par le même parseur, pour comparer des informations normalisées :
+ * "The.Office.S02E05E06.MULTi.1080p.AMZN.WEB-DL.DDP5.1.H.264-GRP.mkv" donne
+ * { title: 'The Office', season: 2, episodes: [5, 6], languageTags: ['MULTi'],
+ *   resolution: '1080p', streamingService: 'AMZN', source: 'WEB-DL', codec: 'x264', group: 'GRP' }
+ *
+ * @module lib/release-parser
+ */
+
+const { detectFps } = require('./subtitle-formats');
+
+/** Extensions retirées avant l'analyse (fichier vidéo, sous-titre ou archive) */
+const EXTENSIONS = /\.(mkv|mp4|avi|m4v|mov|wmv|ts|srt|sub|ass|ssa|vtt|smi|txt|zip|rar)$/i;
+
+/**
+ * Tables de correspondance : la première entrée reconnue l'emporte
+ * (les motifs sont délimités, "hdr" ne correspond pas à "hdrip")
+ */
+const RESOLUTIONS = [
+    ['2160p', '2160p|4k|uhd'],
+    ['1080p', '1080[pi]'],
+    ['720p', '720p'],
+    ['576p', '576p'],
+    ['480p', '480p']
+];
+
+const SOURCES = [
+    ['BluRay', 'blu-?ray|bdrip|brrip|bdremux|bd25|bd50|bdmv'],
+    ['WEB-DL', 'web-?dl|webdl'],
+    ['WEBRip', 'web-?rip'],
+    ['WEB-DL', 'web'], // "WEB" des releases scène : flux récupéré sans réencodage
+    ['HDTV', 'hdtv|pdtv|hdtvrip'],
+    ['DVDRip', 'dvd-?rip|dvd-?r|dvd'],
+    ['HDRip', 'hdrip'],
+    ['CAM', 'hdcam|cam-?rip|telesync|hdts']
+];
+
+const CODECS = [
+    ['x265', 'x265|h[ .]?265|hevc'],
+    ['x264', 'x264|h[ .]?264|avc'],
+    ['AV1', 'av1'],
+    ['XviD', 'xvid|divx']
+];
+
+/** HDR : Dolby Vision peut se cumuler avec une couche HDR10 / HDR10+ */
+const HDR_FORMATS = [
+    ['HDR10+', 'hdr10\\+|hdr10-?plus'],
+    ['HDR10', 'hdr10'],
+    ['HDR', 'hdr'],
+    ['HLG', 'hlg']
+];
+const DOLBY_VISION = 'dv|dovi|dolby[ .]?vision';
+
+/** Plateformes de streaming (le timing diffère souvent d'une plateforme à l'autre) */
+const STREAMING_SERVICES = [
+    ['NF', 'nf|netflix'],
+    ['AMZN', 'amzn|amazon'],
+    ['DSNP', 'dsnp|dsny|disney\\+?'],
+    ['ATVP', 'atvp|aptv'],
+    ['HMAX', 'hmax'],
+    ['HULU', 'hulu'],
+    ['PCOK', 'pcok'],
+    ['PMTP', 'pmtp'],
+    ['CRAV', 'crav'],
+    ['CR', 'crunchyroll'],
+    ['ADN', 'adn'],
+    ['MyCANAL', 'mycanal|cnlp'],
+    ['iT', 'itunes']
+];
+
+/** Éditions : durée et montage différents de la version cinéma */
+const EDITIONS = [
+    ['Extended', 'extended(?:[ .](?:cut|edition))?'],
+    ['Director\'s Cut', 'directors?\'?s?[ .]cut'],
+    ['Final Cut', 'final[ .]cut'],
+    ['Theatrical', 'theatrical(?:[ .](?:cut|edition))?'],
+    ['Unrated', 'unrated'],
+    ['Uncut', 'uncut'],
+    ['IMAX', 'imax'],
+    ['Remastered', 'remastered'],
+    ['Special Edition', 'special[ .]edition'],
+    ['Ultimate Edition', 'ultimate[ .]edition']
+];
+
+/** Tags de langue des releases françaises (piste audio et sous-titres incrustés) */
+const LANGUAGE_TAGS = [
+    ['MULTi', 'multi'],
+    ['TRUEFRENCH', 'truefrench'],
+    ['VFF', 'vff'],
+    ['VFQ', 'vfq'],
+    ['VFI', 'vfi'],
+    ['VF2', 'vf2'],
+    ['VOF', 'vof'],
+    ['VOSTFR', 'vostfr|subfrench'],
+    ['FRENCH', 'french'],
+    ['VF', 'vf']
+];
+
+/** Suffixes de tiret qui ne sont pas un groupe (ex: "WEB-DL", "DVD-R") */
+const NOT_A_GROUP = new Set(['DL', 'RIP', 'R', 'HD', 'SD']);
+
+/**
+ * Construit une expression délimitée par des séparateurs (début, fin ou caractère non alphanumérique)
+ *
+ * @param {string} pattern - Alternatives (syntaxe RegExp)
+ * @param {string} [flags] - Options de l'expression
+ * @returns {RegExp}
+ * @private
+ */
+function tag(pattern, flags = 'i') {
+    return new RegExp(`(?:^|[^a-z0-9])(?:${pattern})(?=$|[^a-z0-9])`, flags);
+}
+
+/** Tables compilées une fois pour toutes */
+const compile = table => table.map(([value, pattern]) => ({ value, regex: tag(pattern) }));
+const RESOLUTION_TAGS = compile(RESOLUTIONS);
+const SOURCE_TAGS = compile(SOURCES);
+const CODEC_TAGS = compile(CODECS);
+const HDR_TAGS = compile(HDR_FORMATS);
+const STREAMING_TAGS = compile(STREAMING_SERVICES);
+const EDITION_TAGS = compile(EDITIONS);
+const LANGUAGE_TAG_PATTERNS = compile(LANGUAGE_TAGS);
+const DOLBY_VISION_TAG = tag(DOLBY_VISION);
+const REMUX_TAG = tag('remux|bdremux');
+const REPACK_TAG = tag('repack\\d?|rerip');
+const PROPER_TAG = tag('proper');
+const YEAR_TAG = tag('(?:19|20)\\d{2}', 'gi');
+
+/** Épisodes : S01E02, S01E02E03, S01E02-E04, S01E02-04, 1x02 */
+const EPISODE_PATTERN = /(?:^|[^a-z0-9])s(\d{1,2})[ ._-]?e(\d{1,4})((?:[ ._]?-?[ ._]?e\d{1,4}|-\d{1,4}(?![0-9p]))*)(?=$|[^0-9])/i;
+const CROSS_EPISODE_PATTERN = /(?:^|[^a-z0-9])(\d{1,2})x(\d{2,3})(?:-(\d{2,3}))?(?=$|[^a-z0-9])/i;
+
+/** Numérotation absolue des releases anime : "[Groupe] Titre - 05 (1080p)", "Titre - 05v2" */
+const ABSOLUTE_EPISODE_PATTERN = /\s-\s(?!(?:19|20)\d{2}(?!\d))(\d{1,4})(?:v\d)?(?=$|[\s[(])/;
+
+/** Packs de saison : S01, S01-S03, "Season 1", "Saison 2", "Complete", "Intégrale" */
+const SEASON_PATTERN = /(?:^|[^a-z0-9])s(\d{1,2})(?:[ ._-]*-[ ._-]*s?(\d{1,2}))?(?=$|[^a-z0-9])/i;
+const SEASON_WORD_PATTERN = /(?:^|[^a-z0-9])(?:season|saison)[ ._-]?(\d{1,2})(?=$|[^a-z0-9])/i;
+const COMPLETE_PATTERN = tag('complete|int[eé]grale');
+
+/**
+ * Retourne la première valeur de la table reconnue dans le nom
+ *
+ * @param {string} name - Nom de release
+ * @param {Array<Object>} tags - Table compilée
+ * @returns {string|null}
+ * @private
+ */
+function findFirst(name, tags) {
+    const found = tags.find(({ regex }) => regex.test(name));
+    return found ? found.value : null;
+}
+
+/**
+ * Retourne toutes les valeurs de la table reconnues dans le nom (sans doublon)
+ *
+ * @param {string} name - Nom de release
+ * @param {Array<Object>} tags - Table compilée
+ * @returns {Array<string>}
+ * @private
+ */
+function findAll(name, tags) {
+    return [...new Set(tags.filter(({ regex }) => regex.test(name)).map(({ value }) => value))];
+}
+
+/**
+ * Extrait saison, épisodes et pack de saison
+ *
+ * @param {string} name - Nom de release (sans extension)
+ * @returns {Object} { season, seasons, episodes, seasonPack, index } (index : début du marqueur ou -1)
+ * @private
+ */
+function parseEpisodes(name) {
+    const episodeMatch = name.match(EPISODE_PATTERN);
+    if (episodeMatch) {
+        const first = parseInt(episodeMatch[2], 10);
+        const others = (episodeMatch[3].match(/\d+/g) || []).map(value => parseInt(value, 10));
+        const last = others.length > 0 ? others[others.length - 1] : first;
+
+        // Plage (E02-E04, E02-04) ou liste (E02E03)
+        const episodes = /-/.test(episodeMatch[3]) && last > first
+            ? Array.from({ length: last - first + 1 }, (_, i) => first + i)
+            : [first, ...others.filter(episode => episode > first)];
+
+        return { season: parseInt(episodeMatch[1], 10), episodes, seasonPack: false, index: episodeMatch.index };
+    }
+
+    const crossMatch = name.match(CROSS_EPISODE_PATTERN);
+    if (crossMatch) {
+        const first = parseInt(crossMatch[2], 10);
+        const last = crossMatch[3] ? parseInt(crossMatch[3], 10) : first;
+        const episodes = Array.from({ length: Math.max(1, last - first + 1) }, (_, i) => first + i);
+        return { season: parseInt(crossMatch[1], 10), episodes, seasonPack: false, index: crossMatch.index };
+    }
+
+    // Sans saison : numéro d'épisode absolu
+    const absoluteMatch = name.match(ABSOLUTE_EPISODE_PATTERN);
+    if (absoluteMatch) {
+        return { season: null, episodes: [parseInt(absoluteMatch[1], 10)], seasonPack: false, index: absoluteMatch.index };
+    }
+
+    const seasonMatch = name.match(SEASON_PATTERN) || name.match(SEASON_WORD_PATTERN);
+    if (seasonMatch) {
+        const first = parseInt(seasonMatch[1], 10);
+        const last = seasonMatch[2] ? parseInt(seasonMatch[2], 10) : first;
+        return {
+            season: first,
+            seasons: last > first ? Array.from({ length: last - first + 1 }, (_, i) => first + i) : [first],
+            episodes: [],
+            seasonPack: true,
+            index: seasonMatch.index
+        };
+    }
+
+    const completeMatch = name.match(COMPLETE_PATTERN);
+    return {
+        season: null,
+        episodes: [],
+        seasonPack: !!completeMatch,
+        index: completeMatch ? completeMatch.index : -1
+    };
+}
+
+/**
+ * Extrait le groupe de release : suffixe après le dernier tiret ("-GRP"),
+ * sinon préfixe entre crochets des releases anime ("[SubsPlease] Show - 01")
+ *
+ * @param {string} name - Nom de release (sans extension)
+ * @returns {string|null}
+ * @private
+ */
+function parseGroup(name) {
+    // Tags de site ajoutés après le groupe (ex: "x264-GRP[rarbg]")
+    const trimmed = name.replace(/(?:\s*\[[^\]]*\])+$/, '');
+
+    const suffix = trimmed.match(/-([A-Za-z0-9]+)$/);
+    if (suffix && !NOT_A_GROUP.has(suffix[1].toUpperCase()) && !/^\d+$/.test(suffix[1])) {
+        return suffix[1].toUpperCase();
+    }
+
+    const prefix = name.match(/^\[([^\]]+)\]/);
+    return prefix ? prefix[1].trim().toUpperCase() : null;
+}
+
+/**
+ * Parse un nom de release (fichier vidéo ou sous-titre)
+ *
+ * @param {string} filename - Nom du fichier ou de la release
+ * @returns {Object} Infos extraites, {} si le nom est vide :
+ *   original, normalized (minuscules, séparateurs remplacés par des espaces), title, year,
+ *   season, seasons (liste, plusieurs pour un pack S01-S03), episodes (liste), seasonPack,
+ *   resolution, source, remux, codec, hdr (liste),
+ *   streamingService, edition, repack, proper, languageTags (liste), group, fps
+ */
+function parseReleaseName(filename) {
+    if (!filename) return {};
+
+    const name = filename.trim().replace(EXTENSIONS, '');
+    const { season, seasons, episodes, seasonPack, index: episodeIndex } = parseEpisodes(name);
+
+    const result = {
+        original: filename,
+        normalized: name.toLowerCase().replace(/[._-]/g, ' '),
+        title: null,
+        year: null,
+        season,
+        seasons: seasons || (season ? [season] : []),
+        episodes,
+        seasonPack,
+        resolution: findFirst(name, RESOLUTION_TAGS),
+        source: findFirst(name, SOURCE_TAGS),
+        remux: REMUX_TAG.test(name),
+        codec: findFirst(name, CODEC_TAGS),
+        hdr: [],
+        streamingService: findFirst(name, STREAMING_TAGS),
+        edition: findFirst(name, EDITION_TAGS),
+        repack: REPACK_TAG.test(name),
+        proper: PROPER_TAG.test(name),
+        languageTags: findAll(name, LANGUAGE_TAG_PATTERNS),
+        group: parseGroup(name),
+        fps: null
+    };
+
+    // Remux : toujours issu d'un disque
+    if (result.remux && !result.source) {
+        result.source = 'BluRay';
+    }
+
+    // Dolby Vision puis la couche HDR éventuelle
+    if (DOLBY_VISION_TAG.test(name)) result.hdr.push('DV');
+    const hdrFormat = findFirst(name, HDR_TAGS);
+    if (hdrFormat) result.hdr.push(hdrFormat);
+
+    // Année : la dernière qui n'ouvre pas le nom ("2001.A.Space.Odyssey.1968", "Blade.Runner.2049.2017")
+    const years = [...name.matchAll(YEAR_TAG)]
+        .map(match => ({ value: match[0].replace(/^[^0-9]/, ''), index: match.index + (/^[0-9]/.test(match[0]) ? 0 : 1) }))
+        .filter(year => year.index > 0 && (episodeIndex === -1 || year.index < episodeIndex));
+    const year = years.length > 0 ? years[years.length - 1] : null;
+    if (year) {
+        result.year = year.value;
+    }
+
+    // Titre : tout ce qui précède l'année, l'épisode ou le premier tag technique
+    const markers = [episodeIndex, year ? year.index : -1];
+    for (const tags of [RESOLUTION_TAGS, SOURCE_TAGS, CODEC_TAGS, EDITION_TAGS, LANGUAGE_TAG_PATTERNS]) {
+        for (const { regex } of tags) {
+            const match = name.match(regex);
+            if (match) markers.push(match.index);
+        }
+    }
+    for (const regex of [REMUX_TAG, REPACK_TAG, PROPER_TAG]) {
+        const match = name.match(regex);
+        if (match) markers.push(match.index);
+    }
+    const titleEnd = Math.min(...markers.filter(index => index > 0), name.length);
+    const title = name.slice(0, titleEnd)
+        .replace(/^\[[^\]]*\]\s*/, '')
+        .replace(/[._]/g, ' ')
+        .replace(/[\s([-]+$/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    result.title = title || null;
+
+    // Frame rate : seulement s'il est explicite (25fps, PAL...). La source ne suffit pas :
+    // beaucoup de releases WEB européennes sont en 25 fps, pas en 23.976
+    result.fps = detectFps(name);
+
+    return result;
+}
+
+module.exports = {
+    parseReleaseName
+};
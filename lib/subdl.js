@@ -3,21 +3,67 @@
  *
  * Gère les interactions avec l'API REST SubDL
  * pour la recherche et le téléchargement de sous-titres.
+ * SubDL livre des archives zip (parfois des packs de saison) : les téléchargements
+ * passent par le proxy de l'addon qui extrait le fichier de l'épisode demandé.
  *
  * @module lib/subdl
  * @see https://subdl.com/api-doc
  */
 
 const fetch = require('node-fetch');
+const { DEFAULT_LANGUAGE, toStremioLang, toIso639_1, limitPerLanguage } = require('./languages');
+const { extractSubtitle, isZip } = require('./archive');
+const { RateLimitError } = require('./errors');
+const { matchesSubtitleMode, isForcedRelease } = require('./subtitle-modes');
+const { normalizeSignals } = require('./community');
 
 const BASE_URL = 'https://api.subdl.com/api/v1';
 const DOWNLOAD_BASE_URL = 'https://dl.subdl.com';
 
-/** Nombre maximum de sous-titres à retourner */
+/** Nombre maximum de sous-titres à retourner par langue */
 const MAX_SUBTITLES = 15;
 
+/** Timeout des téléchargements en ms */
+const DOWNLOAD_TIMEOUT = 10000;
+
+/**
+ * Encode l'identifiant d'archive transmis au proxy
+ * Ex: /subtitle/3197651-3213944.zip + S01E02 -> 3197651-3213944_S01E02
+ *
+ * @param {string} url - Chemin de l'archive renvoyé par l'API
+ * @param {number} [season] - Numéro de saison
+ * @param {number} [episode] - Numéro d'épisode
+ * @returns {string|null} Identifiant ou null si le chemin est inattendu
+ * @private
+ */
+function encodeFileId(url, season, episode) {
+    const match = url && url.match(/\/subtitle\/([a-z0-9-]+)\.zip$/i);
+    if (!match) return null;
+
+    if (season && episode) {
+        return `${match[1]}_S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
+    }
+    return match[1];
+}
+
+/**
+ * Épisodes annoncés par l'API pour un résultat (episode, ou plage episode_from / episode_end)
+ *
+ * @param {Object} sub - Résultat brut de l'API
+ * @returns {Array<number>|null} Épisodes ou null si non renseignés
+ * @private
+ */
+function announcedEpisodes(sub) {
+    const from = parseInt(sub.episode_from || sub.episode, 10);
+    if (!from) return null;
+
+    const to = Math.max(from, parseInt(sub.episode_end, 10) || from);
+    return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
+
 /**
  * Classe client pour l'API SubDL
+ * Implémente le contrat des sources (voir lib/providers)
  */
 class SubDLClient {
     /**
@@ -38,10 +84,13 @@ class SubDLClient {
      *
      * @param {string} endpoint - Endpoint API (ex: /subtitles)
      * @param {Object} params - Paramètres de requête
+     * @param {Object} [options] - Options de la requête
+     * @param {number} [options.timeout] - Timeout en ms
      * @returns {Promise<Object>} Réponse JSON de l'API
+     * @throws {RateLimitError} Si rate limité
      * @private
      */
-    async _request(endpoint, params = {}) {
+    async _request(endpoint, params = {}, options = {}) {
         const url = new URL(`${BASE_URL}${endpoint}`);
 
         // Ajoute la clé API
@@ -54,14 +103,24 @@ class SubDLClient {
             }
         });
 
+        const controller = new AbortController();
+        const timeoutId = options.timeout ? setTimeout(() => controller.abort(), options.timeout) : null;
+
         try {
             const response = await fetch(url.toString(), {
                 method: 'GET',
                 headers: {
                     'Accept': 'application/json'
-                }
+                },
+                signal: controller.signal
             });
 
+            if (response.status === 429) {
+                const retryAfter = response.headers.get('Retry-After');
+                console.error(`[SubDL] ⚠️ Rate limit atteint! Retry-After: ${retryAfter || 'non spécifié'}s`);
+                throw new RateLimitError(retryAfter);
+            }
+
             if (!response.ok) {
                 const errorBody = await response.text();
                 throw new Error(`Erreur API SubDL: ${response.status} - ${errorBody}`);
@@ -77,30 +136,37 @@ class SubDLClient {
         } catch (error) {
             console.error(`[SubDL] Erreur requête ${endpoint}:`, error.message);
             throw error;
+        } finally {
+            clearTimeout(timeoutId);
         }
     }
 
     /**
-     * Recherche des sous-titres français pour un contenu
+     * Recherche des sous-titres pour un contenu
      *
      * @param {Object} options - Options de recherche
-     * @param {string} options.imdbId - ID IMDB (format: tt1234567)
+     * @param {string} options.imdbId - ID IMDB (format: tt1234567), null si seul l'ID TMDB est connu
+     * @param {string} [options.tmdbId] - ID TMDB (prioritaire sur l'ID IMDB)
      * @param {string} options.type - Type de contenu: 'movie' ou 'series'
      * @param {number} [options.season] - Numéro de saison (pour les séries)
      * @param {number} [options.episode] - Numéro d'épisode (pour les séries)
+     * @param {Array<string>} [options.languages] - Codes ISO 639-1 par ordre de priorité (défaut: fr)
+     * @param {string} [options.subtitleMode] - Préférence HI / forcés (lib/subtitle-modes)
      * @returns {Promise<Array>} Liste des sous-titres trouvés
      */
-    async searchSubtitles({ imdbId, type, season, episode }) {
-        console.log(`[SubDL] Recherche sous-titres FR pour ${imdbId} (${type})`);
+    async searchSubtitles({ imdbId, tmdbId, type, season, episode, languages = [DEFAULT_LANGUAGE], subtitleMode = 'all' }) {
+        const languageParam = languages.join(',');
+        const contentId = tmdbId ? `tmdb:${tmdbId}` : imdbId;
+        console.log(`[SubDL] Recherche sous-titres ${languageParam} pour ${contentId} (${type})`);
 
         if (season && episode) {
             console.log(`[SubDL] Saison ${season}, Episode ${episode}`);
         }
 
         const params = {
-            imdb_id: imdbId,
-            languages: 'fr',
-            subs_per_page: MAX_SUBTITLES,
+            ...(tmdbId ? { tmdb_id: tmdbId } : { imdb_id: imdbId }),
+            languages: languageParam,
+            subs_per_page: Math.min(MAX_SUBTITLES * languages.length, 30),
             type: type === 'series' ? 'tv' : 'movie'
         };
 
@@ -115,35 +181,139 @@ class SubDLClient {
             const response = await this._request('/subtitles', params);
 
             if (!response.subtitles || response.subtitles.length === 0) {
-                console.log(`[SubDL] Aucun sous-titre trouvé pour ${imdbId}`);
+                console.log(`[SubDL] Aucun sous-titre trouvé pour ${contentId}`);
                 return [];
             }
 
-            console.log(`[SubDL] ${response.subtitles.length} sous-titre(s) trouvé(s) pour ${imdbId}`);
+            // SubDL ne filtre pas côté API : on applique la préférence HI / forcés ici
+            const subtitles = response.subtitles
+                .filter(sub => matchesSubtitleMode({ hi: !!sub.hi, forced: isForcedRelease(sub.release_name || sub.name) }, subtitleMode))
+                // Épisode demandé, pour extraire le bon fichier d'un pack de saison
+                .map(sub => ({ ...sub, fileId: encodeFileId(sub.url, season, episode) }));
 
-            return response.subtitles.slice(0, MAX_SUBTITLES);
+            console.log(`[SubDL] ${subtitles.length} sous-titre(s) trouvé(s) pour ${contentId}`);
+
+            return limitPerLanguage(subtitles, sub => sub.language, MAX_SUBTITLES);
         } catch (error) {
-            console.error(`[SubDL] Erreur recherche ${imdbId}:`, error.message);
+            console.error(`[SubDL] Erreur recherche ${contentId}:`, error.message);
             return [];
         }
     }
 
+    /**
+     * Vérifie la disponibilité de sous-titres pour un contenu (fonctionnalité meta)
+     *
+     * @param {string} imdbId - ID IMDB
+     * @param {string} type - Type ('movie' ou 'series')
+     * @param {Array<string>} languages - Codes ISO 639-1 recherchés
+     * @param {Object} [options] - Options
+     * @param {number} [options.timeout] - Timeout en ms
+     * @returns {Promise<Object>} { available, count, languages: { fr: n } }
+     * @throws {RateLimitError} Si rate limité
+     */
+    async checkAvailability(imdbId, type, languages, options = {}) {
+        const data = await this._request('/subtitles', {
+            imdb_id: imdbId,
+            languages: languages.join(','),
+            type: type === 'series' ? 'tv' : 'movie'
+        }, options);
+
+        const subtitles = data.subtitles || [];
+        const languageCounts = {};
+        for (const sub of subtitles) {
+            const lang = toIso639_1(sub.language);
+            if (lang) languageCounts[lang] = (languageCounts[lang] || 0) + 1;
+        }
+
+        return { available: subtitles.length > 0, count: subtitles.length, languages: languageCounts };
+    }
+
+    /**
+     * Télécharge l'archive et extrait le sous-titre pour le proxy
+     *
+     * @param {string} fileId - Identifiant d'archive, suffixé de l'épisode (ex: 3197651-3213944_S01E02)
+     * @returns {Promise<Object|null>} { content, filename } ou null si introuvable
+     * @throws {RateLimitError} Si rate limité
+     */
+    async resolveDownload(fileId) {
+        const [archiveId, episodeTag] = fileId.split('_');
+        const episodeMatch = episodeTag && episodeTag.match(/^S(\d+)E(\d+)$/i);
+        const target = episodeMatch
+            ? { season: parseInt(episodeMatch[1], 10), episode: parseInt(episodeMatch[2], 10) }
+            : {};
+
+        console.log(`[SubDL] Téléchargement de l'archive ${archiveId}${episodeTag ? ` (${episodeTag})` : ''}`);
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT);
+        let buffer;
+
+        try {
+            const response = await fetch(`${DOWNLOAD_BASE_URL}/subtitle/${archiveId}.zip`, {
+                method: 'GET',
+                signal: controller.signal
+            });
+
+            if (response.status === 404) {
+                return null;
+            }
+
+            if (response.status === 429) {
+                const retryAfter = response.headers.get('Retry-After');
+                console.error(`[SubDL] ⚠️ Rate limit atteint! Retry-After: ${retryAfter || 'non spécifié'}s`);
+                throw new RateLimitError(retryAfter);
+            }
+
+            if (!response.ok) {
+                throw new Error(`Erreur téléchargement SubDL: ${response.status}`);
+            }
+
+            buffer = await response.buffer();
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        if (!isZip(buffer)) {
+            console.error(`[SubDL] Réponse inattendue (pas une archive zip) pour ${archiveId}`);
+            return null;
+        }
+
+        const file = extractSubtitle(buffer, target);
+        if (!file) {
+            console.error(`[SubDL] Aucun sous-titre correspondant dans l'archive ${archiveId}`);
+            return null;
+        }
+
+        console.log(`[SubDL] Fichier extrait: ${file.name}`);
+        return { content: file.content, filename: file.name };
+    }
+
+    /**
+     * Retourne l'état du client pour /health
+     *
+     * @returns {Object} Statistiques
+     */
+    health() {
+        return {};
+    }
+
     /**
      * Formate les sous-titres SubDL pour Stremio
+     * Retourne des URLs de proxy (archives zip extraites à la volée)
      *
      * @param {Array} subtitles - Liste des sous-titres SubDL
+     * @param {string} addonUrl - URL publique de l'addon pour le proxy
      * @returns {Array} Liste formatée pour Stremio
      */
-    formatForStremio(subtitles) {
+    formatForStremio(subtitles, addonUrl) {
         const formatted = [];
 
         for (const sub of subtitles) {
             try {
-                // Construit l'URL de téléchargement
-                // Format: https://dl.subdl.com + url du sous-titre
-                const downloadUrl = sub.url ? `${DOWNLOAD_BASE_URL}${sub.url}` : null;
+                if (!sub.fileId) continue;
 
-                if (!downloadUrl) continue;
+                // Format: https://addon.com/proxy/subdl/3197651-3213944_S01E02
+                const downloadUrl = `${addonUrl}/proxy/subdl/${sub.fileId}`;
 
                 const releaseName = sub.release_name || sub.name || 'Unknown';
                 const isHearingImpaired = sub.hi ? ' [HI]' : '';
@@ -154,9 +324,17 @@ class SubDLClient {
                 formatted.push({
                     id: variantId,
                     url: downloadUrl,
-                    lang: 'fre',
+                    lang: toStremioLang(sub.language) || sub.language,
                     // Métadonnées internes pour le scoring
-                    _release: releaseName
+                    _release: releaseName,
+                    _hi: !!sub.hi,
+                    // Saison / épisodes annoncés par SubDL (comparés à l'épisode demandé)
+                    _season: parseInt(sub.season, 10) || null,
+                    _episodes: sub.full_season ? null : announcedEpisodes(sub),
+                    _seasonPack: !!sub.full_season,
+                    // Aucun signal à reprendre : l'API de recherche SubDL ne renvoie ni téléchargements,
+                    // ni note, ni rang d'uploader (seulement le nom de l'auteur). Signaux inconnus = 0 point.
+                    _community: normalizeSignals({})
                 });
 
             } catch (error) {
@@ -165,9 +343,12 @@ class SubDLClient {
             }
         }
 
-        console.log(`[SubDL] ${formatted.length} sous-titre(s) formaté(s) pour Stremio`);
+        console.log(`[SubDL] ${formatted.length} sous-titre(s) formaté(s) pour Stremio (via proxy)`);
         return formatted;
     }
 }
 
+/** Nombre maximum de résultats par langue (affiché au démarrage) */
+SubDLClient.MAX_SUBTITLES = MAX_SUBTITLES;
+
 module.exports = SubDLClient;
@@ -1,14 +1,15 @@
 /**
  * Vérificateur de disponibilité des sous-titres multi-sources
  *
- * Vérifie si des sous-titres français sont disponibles sur :
- * - OpenSubtitles
- * - SubDL
+ * Vérifie si des sous-titres (dans les langues demandées) sont disponibles
+ * sur chacune des sources actives du registre (voir lib/providers).
+ * Les appels HTTP sont délégués aux clients des sources.
  *
  * @module lib/subtitle-checker
  */
 
-const fetch = require('node-fetch');
+const { DEFAULT_LANGUAGE } = require('./languages');
+const { RateLimitError } = require('./errors');
 
 /** Timeout des requêtes en ms */
 const REQUEST_TIMEOUT = 5000;
@@ -22,49 +23,32 @@ const DEFAULT_RATE_LIMIT_DURATION = 5 * 60 * 1000;
 class SubtitleChecker {
     /**
      * Crée une instance du vérificateur multi-sources
-     *
-     * @param {Object} options - Options de configuration
-     * @param {string} [options.osApiKey] - Clé API OpenSubtitles
-     * @param {string} [options.osUserAgent] - User-Agent OpenSubtitles
-     * @param {string} [options.subdlApiKey] - Clé API SubDL
      */
-    constructor(options = {}) {
-        this.osApiKey = options.osApiKey;
-        this.osUserAgent = options.osUserAgent || 'stremio-subtitles-fr v1.6';
-        this.subdlApiKey = options.subdlApiKey;
-
-        this.rateLimitedUntil = {
-            opensubtitles: 0,
-            subdl: 0
-        };
-
-        // Log des sources activées
-        const sources = [];
-        if (this.osApiKey) sources.push('OpenSubtitles');
-        if (this.subdlApiKey) sources.push('SubDL');
-        console.log(`[SubtitleChecker] Sources activées: ${sources.join(', ') || 'aucune'}`);
+    constructor() {
+        // Fin du rate limit par client (une clé API = un client)
+        this.rateLimitedUntil = new WeakMap();
     }
 
     /**
-     * Vérifie si une source est rate limitée
+     * Vérifie si un client est rate limité
      *
-     * @param {string} source - Nom de la source
+     * @param {Object} client - Client de la source
      * @returns {boolean}
      */
-    isRateLimited(source) {
-        return Date.now() < (this.rateLimitedUntil[source] || 0);
+    isRateLimited(client) {
+        return Date.now() < (this.rateLimitedUntil.get(client) || 0);
     }
 
     /**
-     * Définit le rate limit pour une source
+     * Définit le rate limit pour un client
      *
-     * @param {string} source - Nom de la source
+     * @param {Object} provider - Source { entry, client }
      * @param {number} [seconds] - Durée en secondes
      */
-    setRateLimited(source, seconds = null) {
+    setRateLimited({ entry, client }, seconds = null) {
         const duration = seconds ? seconds * 1000 : DEFAULT_RATE_LIMIT_DURATION;
-        this.rateLimitedUntil[source] = Date.now() + duration;
-        console.log(`[SubtitleChecker] ${source} rate limité pour ${Math.ceil(duration / 60000)} minute(s)`);
+        this.rateLimitedUntil.set(client, Date.now() + duration);
+        console.log(`[SubtitleChecker] ${entry.name} rate limité pour ${Math.ceil(duration / 60000)} minute(s)`);
     }
 
     /**
@@ -72,43 +56,32 @@ class SubtitleChecker {
      *
      * @param {string} imdbId - ID IMDB
      * @param {string} type - Type ('movie' ou 'series')
-     * @returns {Promise<Object>} { available, count, sources: { os, subdl } }
+     * @param {Array<string>} [languages] - Codes ISO 639-1 recherchés (défaut: fr)
+     * @param {Array<Object>} [providers] - Sources { entry, client } à interroger
+     * @returns {Promise<Object>} { available, count, languages: { fr: n }, sources: { [id]: result } }
      */
-    async checkAll(imdbId, type) {
-        console.log(`[SubtitleChecker] Vérification ${imdbId} (${type})`);
-
-        const promises = [];
-        const sourceNames = [];
+    async checkAll(imdbId, type, languages = [DEFAULT_LANGUAGE], providers = []) {
+        console.log(`[SubtitleChecker] Vérification ${imdbId} (${type}, ${languages.join(',')})`);
 
-        // OpenSubtitles
-        if (this.osApiKey && !this.isRateLimited('opensubtitles')) {
-            promises.push(this._checkOpenSubtitles(imdbId, type));
-            sourceNames.push('os');
-        } else {
-            promises.push(Promise.resolve(null));
-            sourceNames.push('os');
-        }
-
-        // SubDL
-        if (this.subdlApiKey && !this.isRateLimited('subdl')) {
-            promises.push(this._checkSubDL(imdbId, type));
-            sourceNames.push('subdl');
-        } else {
-            promises.push(Promise.resolve(null));
-            sourceNames.push('subdl');
-        }
-
-        const results = await Promise.all(promises);
+        const results = await Promise.all(providers.map(provider => {
+            if (this.isRateLimited(provider.client)) {
+                return Promise.resolve(null);
+            }
+            return this._check(provider, imdbId, type, languages);
+        }));
 
         // Compile les résultats
         const sources = {};
+        const languageCounts = {};
         let totalCount = 0;
 
         results.forEach((result, index) => {
-            const name = sourceNames[index];
-            sources[name] = result;
+            sources[providers[index].entry.id] = result;
             if (result && result.count) {
                 totalCount += result.count;
+                for (const [lang, count] of Object.entries(result.languages || {})) {
+                    languageCounts[lang] = (languageCounts[lang] || 0) + count;
+                }
             }
         });
 
@@ -119,107 +92,30 @@ class SubtitleChecker {
         return {
             available,
             count: totalCount,
+            languages: languageCounts,
             sources
         };
     }
 
     /**
-     * Vérifie sur OpenSubtitles
+     * Vérifie sur une source
      *
+     * @param {Object} provider - Source { entry, client }
      * @param {string} imdbId - ID IMDB
      * @param {string} type - Type
+     * @param {Array<string>} languages - Codes ISO 639-1 recherchés
      * @returns {Promise<Object|null>}
      * @private
      */
-    async _checkOpenSubtitles(imdbId, type) {
+    async _check(provider, imdbId, type, languages) {
         try {
-            const params = new URLSearchParams({ languages: 'fr' });
-
-            if (type === 'movie') {
-                params.append('imdb_id', imdbId);
-                params.append('type', 'movie');
-            } else {
-                params.append('parent_imdb_id', imdbId);
-            }
-
-            const url = `https://api.opensubtitles.com/api/v1/subtitles?${params.toString()}`;
-
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
-
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: {
-                    'Api-Key': this.osApiKey,
-                    'User-Agent': this.osUserAgent,
-                    'Accept': 'application/json'
-                },
-                signal: controller.signal
-            });
-
-            clearTimeout(timeoutId);
-
-            if (response.status === 429) {
-                const retryAfter = response.headers.get('Retry-After');
-                this.setRateLimited('opensubtitles', retryAfter ? parseInt(retryAfter, 10) : null);
-                return null;
-            }
-
-            if (!response.ok) return null;
-
-            const data = await response.json();
-            const count = data.total_count || (data.data ? data.data.length : 0);
-
-            return { available: count > 0, count };
+            return await provider.client.checkAvailability(imdbId, type, languages, { timeout: REQUEST_TIMEOUT });
         } catch (error) {
-            console.error(`[SubtitleChecker] OS erreur: ${error.message}`);
-            return null;
-        }
-    }
-
-    /**
-     * Vérifie sur SubDL
-     *
-     * @param {string} imdbId - ID IMDB
-     * @param {string} type - Type
-     * @returns {Promise<Object|null>}
-     * @private
-     */
-    async _checkSubDL(imdbId, type) {
-        try {
-            const params = new URLSearchParams({
-                api_key: this.subdlApiKey,
-                imdb_id: imdbId,
-                languages: 'fr',
-                type: type === 'series' ? 'tv' : 'movie'
-            });
-
-            const url = `https://api.subdl.com/api/v1/subtitles?${params.toString()}`;
-
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
-
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: { 'Accept': 'application/json' },
-                signal: controller.signal
-            });
-
-            clearTimeout(timeoutId);
-
-            if (response.status === 429) {
-                this.setRateLimited('subdl');
+            if (error instanceof RateLimitError) {
+                this.setRateLimited(provider, error.retryAfter ? parseInt(error.retryAfter, 10) : null);
                 return null;
             }
-
-            if (!response.ok) return null;
-
-            const data = await response.json();
-            const count = data.subtitles ? data.subtitles.length : 0;
-
-            return { available: count > 0, count };
-        } catch (error) {
-            console.error(`[SubtitleChecker] SubDL erreur: ${error.message}`);
+            console.error(`[SubtitleChecker] ${provider.entry.name} erreur: ${error.message}`);
             return null;
         }
     }
@@ -0,0 +1,534 @@
+/**
+ * Conversion des formats de sous-titres
+ *
+ * Certains clients Stremio affichent mal (ou pas du tout) les fichiers .ass, .ssa,
+ * MicroDVD .sub ou .smi. Le proxy les convertit à la volée en SRT, ou en WebVTT
+ * sur demande (?format=vtt), en conservant l'italique, le gras et le positionnement.
+ *
+ * Représentation intermédiaire : une liste de cues
+ * { start, end (ms), text (lignes séparées par \n, balises <i>/<b>/<u>), position (1-9, pavé numérique) }
+ *
+ * @module lib/subtitle-formats
+ */
+
+/** Formats de sortie supportés */
+const OUTPUT_FORMATS = ['srt', 'vtt'];
+
+/** Frame rate par défaut des fichiers MicroDVD (le plus courant pour les releases) */
+const DEFAULT_FPS = 23.976;
+
+/** Alignement SSA (V4, \a) vers alignement pavé numérique (V4+, \an) */
+const SSA_ALIGNMENT = { 1: 1, 2: 2, 3: 3, 5: 7, 6: 8, 7: 9, 9: 4, 10: 5, 11: 6 };
+
+/** Position WebVTT par alignement pavé numérique */
+const VTT_SETTINGS = {
+    1: 'position:10% align:start',
+    3: 'position:90% align:end',
+    4: 'line:50% position:10% align:start',
+    5: 'line:50%',
+    6: 'line:50% position:90% align:end',
+    7: 'line:5% position:10% align:start',
+    8: 'line:5%',
+    9: 'line:5% position:90% align:end'
+};
+
+/**
+ * Décode les entités HTML courantes (SAMI)
+ *
+ * @param {string} text - Texte HTML
+ * @returns {string} Texte décodé
+ * @private
+ */
+function decodeEntities(text) {
+    return text
+        .replace(/&nbsp;/gi, ' ')
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>')
+        .replace(/&quot;/gi, '"')
+        .replace(/&#0?39;/g, "'")
+        .replace(/&amp;/gi, '&');
+}
+
+/**
+ * Nettoie le texte d'une cue : seules les balises <i>, <b>, <u> sont conservées
+ *
+ * @param {string} text - Texte brut
+ * @returns {string} Texte nettoyé
+ * @private
+ */
+function cleanText(text) {
+    return text
+        .replace(/<(?!\/?[ibu]>)[^>]*>/gi, '')
+        .replace(/<([ibu])>\s*<\/\1>/gi, '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Convertit un timestamp "HH:MM:SS,mmm" / "MM:SS.mmm" en millisecondes
+ *
+ * @param {string} value - Timestamp
+ * @returns {number|null} Millisecondes
+ * @private
+ */
+function parseTimestamp(value) {
+    const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/);
+    if (!match) return null;
+
+    const [, hours = '0', minutes, seconds, fraction] = match;
+    return ((parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60 + parseInt(seconds, 10)) * 1000
+        + parseInt(fraction.padEnd(3, '0'), 10);
+}
+
+/**
+ * Formate des millisecondes en timestamp
+ *
+ * @param {number} ms - Millisecondes
+ * @param {string} separator - Séparateur des millisecondes (',' SRT, '.' WebVTT)
+ * @returns {string} Timestamp HH:MM:SS,mmm
+ * @private
+ */
+function formatTimestamp(ms, separator) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+    const millis = total % 1000;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}${separator}${String(millis).padStart(3, '0')}`;
+}
+
+/**
+ * Détecte le format d'un fichier de sous-titres (contenu, puis extension)
+ *
+ * @param {string} text - Contenu UTF-8
+ * @param {string} [filename] - Nom du fichier
+ * @returns {string|null} 'srt', 'vtt', 'ass', 'microdvd', 'smi' ou null si inconnu
+ */
+function detectFormat(text, filename = '') {
+    const head = text.slice(0, 2000).trimStart();
+
+    if (/^WEBVTT/.test(head)) return 'vtt';
+    if (/^\[Script Info\]/i.test(head) || /^\[V4\+? Styles\]/im.test(head)) return 'ass';
+    if (/<SAMI>/i.test(head)) return 'smi';
+    if (/^\{\d+\}\{\d*\}/.test(head)) return 'microdvd';
+    if (/^\d+\s*\n\s*\d+:\d{2}:\d{2}[,.]\d{1,3}\s*-->/.test(head)) return 'srt';
+
+    const extension = (filename.toLowerCase().match(/\.([a-z0-9]+)$/) || [])[1];
+    if (extension === 'ssa') return 'ass';
+    return ['srt', 'vtt', 'ass', 'smi'].includes(extension) ? extension : null;
+}
+
+/**
+ * Extrait un frame rate d'un nom de release (ex: "23.976fps", "25 fps", PAL, NTSC)
+ *
+ * @param {string} release - Nom de release
+ * @returns {number|null} Frame rate ou null si absent
+ */
+function detectFps(release) {
+    if (!release) return null;
+
+    const match = release.match(/(\d{2}(?:[.,]\d{1,3})?)\s?fps/i);
+    if (match) return parseFloat(match[1].replace(',', '.'));
+
+    if (/\bPAL\b/i.test(release)) return 25;
+    if (/\bNTSC\b/i.test(release)) return 29.97;
+    return null;
+}
+
+/**
+ * Parse un fichier SRT
+ *
+ * @param {string} text - Contenu
+ * @returns {Array<Object>} Cues
+ * @private
+ */
+function parseSrt(text) {
+    const cues = [];
+
+    for (const block of text.split(/\n\s*\n/)) {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) continue;
+
+        const [startText, endText] = lines[timingIndex].split('-->');
+        const start = parseTimestamp(startText);
+        const end = parseTimestamp(endText.trim().split(/\s+/)[0]);
+        if (start === null || end === null) continue;
+
+        let body = lines.slice(timingIndex + 1).join('\n');
+        let position = null;
+
+        // Positionnement {\an8} (extension SRT courante)
+        const alignMatch = body.match(/\{\\an?(\d{1,2})\}/);
+        if (alignMatch) {
+            position = /\\an/.test(alignMatch[0]) ? parseInt(alignMatch[1], 10) : SSA_ALIGNMENT[alignMatch[1]] || null;
+        }
+        body = body.replace(/\{\\[^}]*\}/g, '');
+
+        const cueText = cleanText(body);
+        if (cueText) cues.push({ start, end, text: cueText, position });
+    }
+
+    return cues;
+}
+
+/**
+ * Parse un fichier WebVTT (réglages de cue ignorés)
+ *
+ * @param {string} text - Contenu
+ * @returns {Array<Object>} Cues
+ * @private
+ */
+function parseVtt(text) {
+    const body = text
+        .split(/\n\s*\n/)
+        .filter(block => !/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(block.trim()))
+        .join('\n\n');
+
+    // Voix / classes (<v Nom>, <c.jaune>) retirées par cleanText
+    return parseSrt(body);
+}
+
+/**
+ * Convertit les balises de surcharge ASS d'un texte en balises SRT
+ *
+ * @param {string} text - Texte ASS (champ Text d'une ligne Dialogue)
+ * @param {Object} style - Style appliqué { italic, alignment }
+ * @param {boolean} legacy - true pour SSA (V4), alignement \a historique
+ * @returns {Object|null} { text, position } ou null pour un dessin vectoriel
+ * @private
+ */
+function convertAssText(text, style, legacy) {
+    // Dessins vectoriels (\p1) : pas de texte à afficher
+    if (/\{[^}]*\\p[1-9]/.test(text)) return null;
+
+    const state = { i: false, b: false, u: false };
+    let position = style.alignment;
+    let output = '';
+
+    const toggle = (tag, enabled) => {
+        if (enabled && !state[tag]) output += `<${tag}>`;
+        if (!enabled && state[tag]) output += `</${tag}>`;
+        state[tag] = enabled;
+    };
+
+    toggle('i', style.italic);
+
+    const parts = text.split(/(\{[^}]*\})/);
+    for (const part of parts) {
+        if (!part.startsWith('{')) {
+            output += part.replace(/\\N/g, '\n').replace(/\\n/g, ' ').replace(/\\h/g, ' ');
+            continue;
+        }
+
+        for (const [, name, value] of part.matchAll(/\\(an|a|i|b|u)(\d+)/g)) {
+            const number = parseInt(value, 10);
+            if (name === 'an') {
+                position = number;
+            } else if (name === 'a') {
+                position = legacy ? SSA_ALIGNMENT[number] || position : number;
+            } else if (name === 'b') {
+                toggle('b', number === 1 || number >= 600);
+            } else {
+                toggle(name, number === 1);
+            }
+        }
+    }
+
+    for (const tag of ['u', 'b', 'i']) toggle(tag, false);
+
+    return { text: cleanText(output), position };
+}
+
+/**
+ * Parse un fichier ASS / SSA
+ *
+ * @param {string} text - Contenu
+ * @returns {Array<Object>} Cues
+ * @private
+ */
+function parseAss(text) {
+    const styles = {};
+    const cues = [];
+    let section = '';
+    let styleFormat = null;
+    let eventFormat = null;
+    let legacy = false;
+
+    for (const rawLine of text.split('\n')) {
+        const line = rawLine.trim();
+
+        const sectionMatch = line.match(/^\[(.+)\]$/);
+        if (sectionMatch) {
+            section = sectionMatch[1].toLowerCase();
+            if (section === 'v4 styles') legacy = true;
+            continue;
+        }
+
+        const fieldMatch = line.match(/^([^:]+):\s*(.*)$/);
+        if (!fieldMatch) continue;
+        const [, key, value] = fieldMatch;
+
+        if (section.endsWith('styles')) {
+            if (key === 'Format') {
+                styleFormat = value.split(',').map(field => field.trim().toLowerCase());
+            } else if (key === 'Style' && styleFormat) {
+                const fields = value.split(',');
+                const get = name => (fields[styleFormat.indexOf(name)] || '').trim();
+                const alignment = parseInt(get('alignment'), 10);
+
+                styles[get('name').toLowerCase()] = {
+                    italic: get('italic') === '-1' || get('italic') === '1',
+                    alignment: legacy ? SSA_ALIGNMENT[alignment] || 2 : alignment || 2
+                };
+            }
+        } else if (section === 'events') {
+            if (key === 'Format') {
+                eventFormat = value.split(',').map(field => field.trim().toLowerCase());
+            } else if (key === 'Dialogue' && eventFormat) {
+                // Le champ Text (dernier) peut contenir des virgules
+                const fields = value.split(',');
+                const textIndex = eventFormat.indexOf('text');
+                const get = name => (fields[eventFormat.indexOf(name)] || '').trim();
+
+                const start = parseTimestamp(get('start'));
+                const end = parseTimestamp(get('end'));
+                if (start === null || end === null) continue;
+
+                const style = styles[get('style').replace(/^\*/, '').toLowerCase()] || { italic: false, alignment: 2 };
+                const converted = convertAssText(fields.slice(textIndex).join(','), style, legacy);
+
+                if (converted && converted.text) {
+                    cues.push({ start, end, text: converted.text, position: converted.position });
+                }
+            }
+        }
+    }
+
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parse un fichier MicroDVD ({début}{fin}texte, timings en frames)
+ *
+ * @param {string} text - Contenu
+ * @param {number} fps - Frame rate de la release (ignoré si le fichier le déclare)
+ * @returns {Array<Object>} Cues
+ * @private
+ */
+function parseMicroDvd(text, fps) {
+    const cues = [];
+    let frameRate = fps;
+
+    for (const line of text.split('\n')) {
+        const match = line.trim().match(/^\{(\d+)\}\{(\d*)\}(.*)$/);
+        if (!match) continue;
+
+        const [, startFrame, endFrame, body] = match;
+
+        // Première ligne "{1}{1}23.976" : frame rate déclaré par le fichier
+        if (cues.length === 0 && /^\d+(\.\d+)?$/.test(body.trim()) && parseInt(startFrame, 10) <= 1) {
+            frameRate = parseFloat(body) || frameRate;
+            continue;
+        }
+
+        // {Y:i} s'applique à toutes les lignes, {y:i} à la ligne courante
+        const globalItalic = /\{Y:i\}/.test(body);
+        const lines = body.replace(/\{Y:[^}]*\}/g, '').split('|').map(part => {
+            const italic = globalItalic || /\{y:i\}/i.test(part);
+            const clean = part.replace(/\{[^}]*\}/g, '').replace(/^\//, '');
+            // Convention "/texte" = italique
+            return italic || part.startsWith('/') ? `<i>${clean}</i>` : clean;
+        });
+
+        const start = parseInt(startFrame, 10) / frameRate * 1000;
+        const end = endFrame ? parseInt(endFrame, 10) / frameRate * 1000 : start + 2000;
+        const cueText = cleanText(lines.join('\n'));
+
+        if (cueText) cues.push({ start, end, text: cueText, position: null });
+    }
+
+    return cues;
+}
+
+/**
+ * Parse un fichier SAMI (.smi)
+ * Seule la première classe de langue rencontrée est conservée.
+ *
+ * @param {string} text - Contenu
+ * @returns {Array<Object>} Cues
+ * @private
+ */
+function parseSami(text) {
+    const syncs = [];
+    let language = null;
+
+    for (const block of text.split(/<SYNC/i).slice(1)) {
+        const startMatch = block.match(/Start\s*=\s*"?(\d+)/i);
+        if (!startMatch) continue;
+
+        const classMatch = block.match(/<P[^>]*Class\s*=\s*"?([\w-]+)/i);
+        if (classMatch) {
+            language = language || classMatch[1].toLowerCase();
+            if (classMatch[1].toLowerCase() !== language) continue;
+        }
+
+        // Les retours à la ligne HTML sont des espaces, seul <br> coupe la ligne
+        const body = block
+            .replace(/^[^>]*>/, '')
+            .replace(/\s*\n\s*/g, ' ')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/?(body|sami)[^>]*>/gi, '');
+
+        syncs.push({ start: parseInt(startMatch[1], 10), text: cleanText(decodeEntities(body)) });
+    }
+
+    const cues = [];
+    for (let i = 0; i < syncs.length; i++) {
+        // Un SYNC vide (&nbsp;) marque la fin de la cue précédente
+        if (!syncs[i].text) continue;
+        const end = i + 1 < syncs.length ? syncs[i + 1].start : syncs[i].start + 2000;
+        cues.push({ start: syncs[i].start, end, text: syncs[i].text, position: null });
+    }
+
+    return cues;
+}
+
+/**
+ * Parse un fichier de sous-titres dans la représentation intermédiaire
+ *
+ * @param {string} text - Contenu UTF-8
+ * @param {string} format - Format détecté (detectFormat)
+ * @param {Object} [options] - Options
+ * @param {number} [options.fps] - Frame rate pour MicroDVD
+ * @returns {Array<Object>} Cues
+ */
+function parseSubtitle(text, format, { fps } = {}) {
+    switch (format) {
+        case 'srt': return parseSrt(text);
+        case 'vtt': return parseVtt(text);
+        case 'ass': return parseAss(text);
+        case 'microdvd': return parseMicroDvd(text, fps || DEFAULT_FPS);
+        case 'smi': return parseSami(text);
+        default: return [];
+    }
+}
+
+/**
+ * Génère un fichier SRT
+ * Le positionnement est conservé avec la balise {\anN}, reconnue par la plupart des lecteurs.
+ *
+ * @param {Array<Object>} cues - Cues
+ * @returns {string} Contenu SRT
+ */
+function toSrt(cues) {
+    return cues.map((cue, index) => {
+        const align = cue.position && cue.position !== 2 ? `{\\an${cue.position}}` : '';
+        return `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${align}${cue.text}\n`;
+    }).join('\n');
+}
+
+/**
+ * Génère un fichier WebVTT
+ *
+ * @param {Array<Object>} cues - Cues
+ * @returns {string} Contenu WebVTT
+ */
+function toVtt(cues) {
+    const body = cues.map(cue => {
+        const settings = VTT_SETTINGS[cue.position] ? ` ${VTT_SETTINGS[cue.position]}` : '';
+        const text = cue.text.replace(/&/g, '&amp;').replace(/<(?!\/?[ibu]>)/g, '&lt;');
+        return `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}${settings}\n${text}\n`;
+    }).join('\n');
+
+    return `WEBVTT\n\n${body}`;
+}
+
+/**
+ * Vérifie si deux frame rates diffèrent (PAL 25 vs 23.976, 24 vs 23.976...)
+ *
+ * @param {number} a - Frame rate
+ * @param {number} b - Frame rate
+ * @returns {boolean}
+ */
+function isFpsMismatch(a, b) {
+    return !!a && !!b && Math.abs(a / b - 1) > 0.0005;
+}
+
+/**
+ * Recale les timings : t' = t × scale + shift
+ *
+ * - scale : conversion de frame rate (sous-titre 25 fps sur vidéo 23.976 : 25 / 23.976)
+ *   ou étirement linéaire manuel
+ * - shift : décalage en ms (négatif = sous-titres affichés plus tôt)
+ *
+ * Les cues qui se retrouvent avant le début de la vidéo sont supprimées.
+ *
+ * @param {Array<Object>} cues - Cues
+ * @param {Object} timing - Réglages
+ * @param {number} [timing.scale] - Facteur appliqué aux timings (défaut: 1)
+ * @param {number} [timing.shift] - Décalage en ms (défaut: 0)
+ * @returns {Array<Object>} Nouvelles cues
+ */
+function retimeCues(cues, { scale = 1, shift = 0 } = {}) {
+    return cues
+        .map(cue => ({ ...cue, start: cue.start * scale + shift, end: cue.end * scale + shift }))
+        .filter(cue => cue.end > 0)
+        .map(cue => ({ ...cue, start: Math.max(0, cue.start) }));
+}
+
+/**
+ * Convertit un fichier de sous-titres vers SRT ou WebVTT
+ *
+ * Un SRT demandé en SRT est servi tel quel (sauf changement de timings) ;
+ * un format inconnu ou illisible aussi.
+ *
+ * @param {string} text - Contenu UTF-8
+ * @param {Object} options - Options
+ * @param {string} [options.filename] - Nom du fichier d'origine
+ * @param {string} [options.target] - Format de sortie ('srt' ou 'vtt', défaut: srt)
+ * @param {number} [options.fps] - Frame rate de la release (MicroDVD)
+ * @param {number} [options.scale] - Facteur appliqué aux timings (défaut: 1)
+ * @param {number} [options.shift] - Décalage des timings en ms (défaut: 0)
+ * @returns {Object} { text, format, from, converted }
+ */
+function convertSubtitle(text, { filename, target = 'srt', fps, scale = 1, shift = 0 } = {}) {
+    const from = detectFormat(text, filename);
+    const retimed = scale !== 1 || shift !== 0;
+
+    if (!from || (from === target && !retimed)) {
+        return { text, format: from || null, from, converted: false };
+    }
+
+    let cues = parseSubtitle(text, from, { fps });
+    if (cues.length === 0) {
+        return { text, format: from, from, converted: false };
+    }
+
+    if (retimed) {
+        cues = retimeCues(cues, { scale, shift });
+    }
+
+    return {
+        text: target === 'vtt' ? toVtt(cues) : toSrt(cues),
+        format: target,
+        from,
+        converted: true
+    };
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    DEFAULT_FPS,
+    detectFormat,
+    detectFps,
+    isFpsMismatch,
+    retimeCues,
+    parseSubtitle,
+    toSrt,
+    toVtt,
+    convertSubtitle
+};
@@ -0,0 +1,102 @@
+/**
+ * Préférences de type de sous-titres (malentendants, forcés)
+ *
+ * - all : tous les sous-titres (les sous-titres forcés passent après les complets)
+ * - prefer-non-hi / prefer-hi : tous, avec préférence pour les non-HI / HI
+ * - no-hi / hi-only : exclut les HI / uniquement les HI
+ * - forced-only : uniquement les sous-titres forcés (parties en langue étrangère),
+ *   pour regarder un film en VF en ne traduisant que les panneaux et dialogues étrangers
+ *
+ * Les modes "prefer" influencent le score (calculateMatchScore), les autres filtrent
+ * les résultats dans chaque source.
+ *
+ * @module lib/subtitle-modes
+ */
+
+/** Modes disponibles (le premier est le défaut) */
+const SUBTITLE_MODES = ['all', 'prefer-non-hi', 'prefer-hi', 'no-hi', 'hi-only', 'forced-only'];
+
+/** Correspondance des anciennes valeurs de config.hearingImpaired */
+const LEGACY_HEARING_IMPAIRED = {
+    include: 'all',
+    exclude: 'no-hi',
+    only: 'hi-only'
+};
+
+/** Sous-titres forcés reconnus dans le nom de release (ex: Movie.2010.FORCED.srt) */
+const FORCED_PATTERN = /(?:^|[^a-z0-9])(?:forced|foreign[ ._-]?parts?(?:[ ._-]?only)?)(?:$|[^a-z0-9])/i;
+
+/** Poids de la préférence HI dans le score */
+const HI_PREFERENCE_SCORE = 15;
+
+/** Pénalité des sous-titres forcés hors mode forced-only (ils ne traduisent qu'une partie) */
+const FORCED_PENALTY = 50;
+
+/**
+ * Indique si un nom de release désigne des sous-titres forcés
+ *
+ * @param {string} release - Nom de release
+ * @returns {boolean}
+ */
+function isForcedRelease(release) {
+    return !!release && FORCED_PATTERN.test(release);
+}
+
+/**
+ * Vérifie qu'un sous-titre est accepté par le mode (filtrage dans les sources)
+ *
+ * @param {Object} subtitle - Indicateurs du sous-titre
+ * @param {boolean} subtitle.hi - Sous-titre pour malentendants
+ * @param {boolean} subtitle.forced - Sous-titre forcé
+ * @param {string} mode - Mode (SUBTITLE_MODES)
+ * @returns {boolean}
+ */
+function matchesSubtitleMode({ hi, forced }, mode) {
+    switch (mode) {
+        case 'no-hi': return !hi;
+        case 'hi-only': return !!hi;
+        case 'forced-only': return !!forced;
+        default: return true;
+    }
+}
+
+/**
+ * Traduit le mode en filtres de l'API OpenSubtitles
+ *
+ * @param {string} mode - Mode (SUBTITLE_MODES)
+ * @returns {Object} { hearing_impaired, foreign_parts_only } ('include', 'exclude' ou 'only')
+ */
+function toOpenSubtitlesFilters(mode) {
+    return {
+        hearing_impaired: mode === 'no-hi' ? 'exclude' : mode === 'hi-only' ? 'only' : 'include',
+        foreign_parts_only: mode === 'forced-only' ? 'only' : 'include'
+    };
+}
+
+/**
+ * Ajustement du score de correspondance selon le mode
+ *
+ * @param {Object} subtitle - Sous-titre formaté (_hi, _forced, _release)
+ * @param {string} mode - Mode (SUBTITLE_MODES)
+ * @returns {number} Points à ajouter (négatif pour une pénalité)
+ */
+function subtitleModeScore(subtitle, mode) {
+    const hi = subtitle._hi === true;
+    const forced = subtitle._forced === true || isForcedRelease(subtitle._release);
+    let score = 0;
+
+    if (mode === 'prefer-non-hi' && hi) score -= HI_PREFERENCE_SCORE;
+    if (mode === 'prefer-hi' && !hi) score -= HI_PREFERENCE_SCORE;
+    if (mode !== 'forced-only' && forced) score -= FORCED_PENALTY;
+
+    return score;
+}
+
+module.exports = {
+    SUBTITLE_MODES,
+    LEGACY_HEARING_IMPAIRED,
+    isForcedRelease,
+    matchesSubtitleMode,
+    toOpenSubtitlesFilters,
+    subtitleModeScore
+};
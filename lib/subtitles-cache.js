@@ -0,0 +1,259 @@
+/**
+ * Cache des recherches de sous-titres
+ *
+ * Évite de refaire les mêmes appels API pour un même contenu. Les résultats sont
+ * conservés sur disque (stockage partagé lib/json-storage) : un redémarrage ne
+ * relance pas toutes les recherches contre les quotas des sources.
+ * La taille est bornée (nombre d'entrées et volume) : les entrées les moins
+ * récemment utilisées sont évincées en premier (LRU).
+ *
+ * @module lib/subtitles-cache
+ */
+
+const path = require('path');
+const JsonStorage = require('./json-storage');
+
+/** Durée de vie par défaut des entrées (24h en ms) */
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+
+/** Nombre maximum d'entrées par défaut */
+const DEFAULT_MAX_ENTRIES = 5000;
+
+/** Volume maximum par défaut (50 Mo de JSON) */
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+/** Intervalle de nettoyage des entrées expirées (30 minutes en ms) */
+const CLEANUP_INTERVAL = 30 * 60 * 1000;
+
+/**
+ * Indique si des résultats contiennent une URL de proxy absolue
+ * Les URLs du proxy sont mises en cache sans leur base (qui embarque les clés API personnelles) :
+ * une entrée avec une URL absolue date d'une version antérieure et n'est pas rechargée.
+ *
+ * @param {Array} subtitles - Sous-titres mis en cache
+ * @returns {boolean}
+ * @private
+ */
+function hasAbsoluteProxyUrl(subtitles) {
+    return subtitles.some(sub => typeof sub.url === 'string' && !sub.url.startsWith('/') && sub.url.includes('/proxy/'));
+}
+
+/**
+ * Classe de cache LRU persistant des recherches de sous-titres
+ */
+class SubtitlesCache {
+    /**
+     * Crée une instance du cache et recharge les entrées sauvegardées
+     *
+     * @param {Object} options - Options de configuration
+     * @param {number} [options.ttl] - Durée de vie des entrées en ms
+     * @param {number} [options.maxEntries] - Nombre maximum d'entrées
+     * @param {number} [options.maxBytes] - Volume maximum (taille JSON des résultats) en octets
+     * @param {string} [options.cacheDir] - Répertoire de stockage
+     */
+    constructor(options = {}) {
+        this.ttl = options.ttl || DEFAULT_TTL;
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+        this.cacheDir = options.cacheDir || path.join(__dirname, '..', 'data');
+        this.cache = new Map(); // Ordre d'insertion = ordre LRU (le plus ancien en premier)
+        this.totalBytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+        this.storage = new JsonStorage({
+            filePath: path.join(this.cacheDir, 'subtitles-cache.json'),
+            label: 'SubtitlesCache',
+            // Entrées [clé, item] dans l'ordre LRU, conservé au rechargement
+            serialize: () => [...this.cache.entries()]
+        });
+
+        // Charge le cache existant
+        this.load();
+
+        // Nettoyage périodique
+        this.cleanupInterval = setInterval(() => this.cleanup(), CLEANUP_INTERVAL);
+    }
+
+    /**
+     * Recharge les entrées sauvegardées (expirées ignorées, limites appliquées)
+     */
+    load() {
+        const content = this.storage.load();
+        if (!Array.isArray(content)) {
+            return;
+        }
+
+        const now = Date.now();
+        for (const [key, item] of content) {
+            if (item && Array.isArray(item.subtitles) && now <= item.expiry && !hasAbsoluteProxyUrl(item.subtitles)) {
+                this._insert(key, item);
+            }
+        }
+
+        // Limites éventuellement réduites depuis la dernière sauvegarde
+        this._evict();
+        console.log(`[SubtitlesCache] Chargé: ${this.cache.size} entrée(s) (${(this.totalBytes / 1024 / 1024).toFixed(1)} Mo)`);
+    }
+
+    /**
+     * Génère une clé de cache unique pour une requête
+     */
+    generateKey(type, id) {
+        return `${type}:${id}`;
+    }
+
+    /**
+     * Récupère les sous-titres du cache (l'entrée devient la plus récemment utilisée)
+     */
+    get(type, id) {
+        const key = this.generateKey(type, id);
+        const item = this.cache.get(key);
+
+        if (!item) {
+            this.misses++;
+            return null;
+        }
+
+        if (Date.now() > item.expiry) {
+            this._remove(key);
+            this.misses++;
+            return null;
+        }
+
+        // Remise en fin de liste (LRU). Pas de sauvegarde pour une simple lecture :
+        // le nouvel ordre est écrit avec la prochaine modification (ajout, éviction, expiration)
+        this.cache.delete(key);
+        this.cache.set(key, item);
+
+        this.hits++;
+        return item.subtitles;
+    }
+
+    /**
+     * Stocke les sous-titres dans le cache
+     */
+    set(type, id, subtitles) {
+        const key = this.generateKey(type, id);
+        this._remove(key);
+        this._insert(key, {
+            subtitles,
+            expiry: Date.now() + this.ttl,
+            timestamp: Date.now()
+        });
+        this._evict();
+    }
+
+    /**
+     * Ajoute une entrée en fin de liste LRU
+     *
+     * @param {string} key - Clé de cache
+     * @param {Object} item - { subtitles, expiry, timestamp }
+     * @private
+     */
+    _insert(key, item) {
+        item.size = Buffer.byteLength(JSON.stringify(item.subtitles));
+        this.cache.set(key, item);
+        this.totalBytes += item.size;
+        this.storage.markDirty();
+    }
+
+    /**
+     * Supprime une entrée
+     *
+     * @param {string} key - Clé de cache
+     * @returns {boolean} true si l'entrée existait
+     * @private
+     */
+    _remove(key) {
+        const item = this.cache.get(key);
+        if (!item) {
+            return false;
+        }
+
+        this.cache.delete(key);
+        this.totalBytes -= item.size;
+        this.storage.markDirty();
+        return true;
+    }
+
+    /**
+     * Évince les entrées les moins récemment utilisées au-delà des limites
+     *
+     * @private
+     */
+    _evict() {
+        let evicted = 0;
+
+        while (this.cache.size > this.maxEntries || (this.totalBytes > this.maxBytes && this.cache.size > 0)) {
+            this._remove(this.cache.keys().next().value);
+            evicted++;
+        }
+
+        if (evicted > 0) {
+            this.evictions += evicted;
+            console.log(`[SubtitlesCache] Éviction LRU: ${evicted} entrée(s)`);
+        }
+    }
+
+    /**
+     * Nettoie les entrées expirées
+     */
+    cleanup() {
+        const now = Date.now();
+        let cleaned = 0;
+        for (const [key, item] of this.cache.entries()) {
+            if (now > item.expiry) {
+                this._remove(key);
+                cleaned++;
+            }
+        }
+        if (cleaned > 0) {
+            console.log(`[SubtitlesCache] Nettoyage: ${cleaned} entrée(s) expirée(s) supprimée(s)`);
+        }
+    }
+
+    /**
+     * Vide le cache
+     */
+    clear() {
+        this.cache.clear();
+        this.totalBytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+        this.storage.markDirty();
+        this.storage.save();
+    }
+
+    /**
+     * Retourne les statistiques du cache
+     */
+    stats() {
+        return {
+            entries: this.cache.size,
+            maxEntries: this.maxEntries,
+            sizeMB: Math.round(this.totalBytes / 1024 / 1024 * 10) / 10,
+            maxSizeMB: Math.round(this.maxBytes / 1024 / 1024 * 10) / 10,
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: this.hits + this.misses > 0
+                ? ((this.hits / (this.hits + this.misses)) * 100).toFixed(1) + '%'
+                : 'N/A',
+            evictions: this.evictions,
+            ttlHours: this.ttl / (60 * 60 * 1000)
+        };
+    }
+
+    /**
+     * Arrête le cache proprement (nettoyage périodique, sauvegarde en attente)
+     */
+    stop() {
+        if (this.cleanupInterval) {
+            clearInterval(this.cleanupInterval);
+        }
+        this.storage.stop();
+    }
+}
+
+module.exports = SubtitlesCache;
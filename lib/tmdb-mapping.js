@@ -0,0 +1,180 @@
+/**
+ * Correspondance des identifiants TMDB vers IMDB
+ *
+ * Certains catalogues émettent des IDs "tmdb:12345" (film) ou "tmdb:12345:1:2" (épisode
+ * d'une série). OpenSubtitles et SubDL acceptent directement l'ID TMDB ; les autres
+ * sources et Cinemeta ont besoin de l'ID IMDB, obtenu via l'API TMDB (external_ids).
+ * Les correspondances sont conservées sur disque (stockage partagé lib/json-storage) :
+ * un ID TMDB ne change pas d'ID IMDB.
+ *
+ * @module lib/tmdb-mapping
+ * @see https://developer.themoviedb.org/reference/movie-external-ids
+ */
+
+const path = require('path');
+const fetch = require('node-fetch');
+const JsonStorage = require('./json-storage');
+
+const BASE_URL = 'https://api.themoviedb.org/3';
+
+/** Préfixe des IDs TMDB (manifest idPrefixes) */
+const TMDB_ID_PREFIX = 'tmdb:';
+
+/** Durée avant de redemander un ID sans correspondance (1 jour en ms) */
+const NEGATIVE_TTL = 24 * 60 * 60 * 1000;
+
+/** Timeout des requêtes en ms */
+const REQUEST_TIMEOUT = 5000;
+
+/**
+ * Indique si un ID Stremio est un ID TMDB (ex: tmdb:1399:1:2)
+ *
+ * @param {string} id - ID Stremio
+ * @returns {boolean}
+ */
+function isTmdbId(id) {
+    return typeof id === 'string' && id.startsWith(TMDB_ID_PREFIX);
+}
+
+/**
+ * Classe de correspondance TMDB -> IMDB avec cache persistant
+ */
+class TmdbMapping {
+    /**
+     * Crée une instance de la correspondance
+     *
+     * @param {Object} options - Options de configuration
+     * @param {string} [options.apiKey] - Clé API TMDB (v3), sans clé seules les correspondances connues sont utilisées
+     * @param {string} [options.dataDir] - Répertoire de stockage des correspondances
+     */
+    constructor(options = {}) {
+        this.apiKey = options.apiKey || null;
+        this.dataDir = options.dataDir || path.join(__dirname, '..', 'data');
+        this.entries = new Map(); // "movie:603" -> { imdbId (null si aucune), checkedAt }
+        this.pending = new Map();
+        this.lastError = null;
+        this.storage = new JsonStorage({
+            filePath: path.join(this.dataDir, 'tmdb-mapping.json'),
+            label: 'TmdbMapping',
+            serialize: () => Object.fromEntries(this.entries)
+        });
+
+        // Charge les correspondances existantes
+        this.load();
+    }
+
+    /**
+     * Charge les correspondances depuis le disque
+     */
+    load() {
+        const content = this.storage.load();
+        if (!content || typeof content !== 'object') {
+            return;
+        }
+
+        this.entries = new Map(Object.entries(content));
+        console.log(`[TmdbMapping] Chargé: ${this.entries.size} correspondance(s)`);
+    }
+
+    /**
+     * Convertit un ID TMDB en ID IMDB
+     * Les requêtes simultanées pour le même ID partagent le même appel.
+     *
+     * @param {string} tmdbId - ID TMDB numérique (ex: 603)
+     * @param {string} type - Type de contenu ('movie' ou 'series')
+     * @returns {Promise<string|null>} ID IMDB ou null si inconnu
+     * @throws {Error} Si l'API TMDB est injoignable (échec temporaire, rien n'est mémorisé)
+     */
+    async resolve(tmdbId, type) {
+        const key = `${type === 'series' ? 'tv' : 'movie'}:${tmdbId}`;
+        const entry = this.entries.get(key);
+
+        if (entry && (entry.imdbId || Date.now() - entry.checkedAt < NEGATIVE_TTL)) {
+            return entry.imdbId;
+        }
+
+        if (!this.apiKey) {
+            return null;
+        }
+
+        if (!this.pending.has(key)) {
+            this.pending.set(key, this._fetch(key).finally(() => this.pending.delete(key)));
+        }
+        return this.pending.get(key);
+    }
+
+    /**
+     * Interroge l'API TMDB (external_ids) et mémorise le résultat
+     *
+     * @param {string} key - Clé "movie:603" ou "tv:1399"
+     * @returns {Promise<string|null>} ID IMDB ou null
+     * @throws {Error} Erreur réseau / API
+     * @private
+     */
+    async _fetch(key) {
+        const [mediaType, tmdbId] = key.split(':');
+        const url = `${BASE_URL}/${mediaType}/${tmdbId}/external_ids?api_key=${encodeURIComponent(this.apiKey)}`;
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+        try {
+            const response = await fetch(url, {
+                method: 'GET',
+                headers: { 'Accept': 'application/json' },
+                signal: controller.signal
+            });
+
+            // 404 : ID inconnu de TMDB, mémorisé comme sans correspondance
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = response.ok ? await response.json() : {};
+            const imdbMatch = String(data.imdb_id || '').match(/^tt\d+$/);
+            const imdbId = imdbMatch ? imdbMatch[0] : null;
+
+            this.entries.set(key, { imdbId, checkedAt: Date.now() });
+            this.storage.markDirty();
+            this.lastError = null;
+
+            console.log(`[TmdbMapping] ${key} -> ${imdbId || 'aucun ID IMDB'}`);
+            return imdbId;
+        } catch (error) {
+            // Erreur réseau / API : rien n'est mémorisé, nouvel essai à la prochaine requête
+            this.lastError = error.name === 'AbortError' ? 'Timeout' : error.message;
+            console.error(`[TmdbMapping] Erreur pour ${key}: ${this.lastError}`);
+            throw new Error(this.lastError);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Retourne l'état de la correspondance pour /health
+     *
+     * @returns {Object} Statistiques
+     */
+    stats() {
+        const entries = [...this.entries.values()];
+        return {
+            apiKey: !!this.apiKey,
+            entries: entries.length,
+            withoutImdb: entries.filter(entry => !entry.imdbId).length,
+            lastError: this.lastError
+        };
+    }
+
+    /**
+     * Arrête la correspondance proprement (sauvegarde en attente écrite)
+     */
+    stop() {
+        this.storage.stop();
+    }
+}
+
+module.exports = {
+    TMDB_ID_PREFIX,
+    isTmdbId,
+    TmdbMapping
+};
@@ -0,0 +1,292 @@
+/**
+ * Client YIFY Subtitles
+ *
+ * Récupère les sous-titres de films depuis YIFY Subtitles (aucune clé requise).
+ * Le site n'a pas d'API : la page de listing d'un film (par ID IMDB) est parsée.
+ * YIFY livre des archives zip, les téléchargements passent donc par le proxy
+ * de l'addon qui extrait le fichier de sous-titres.
+ *
+ * @module lib/yify
+ */
+
+const fetch = require('node-fetch');
+const { DEFAULT_LANGUAGE, toStremioLang, fromEnglishName, limitPerLanguage } = require('./languages');
+const { extractSubtitle, isZip } = require('./archive');
+const { RateLimitError } = require('./errors');
+const { matchesSubtitleMode, isForcedRelease } = require('./subtitle-modes');
+const { normalizeSignals } = require('./community');
+
+const BASE_URL = 'https://yifysubtitles.ch';
+
+/** Nombre maximum de sous-titres à retourner par langue */
+const MAX_SUBTITLES = 5;
+
+/** Timeout des requêtes en ms */
+const REQUEST_TIMEOUT = 10000;
+
+/** User-Agent navigateur (le site refuse les clients inconnus) */
+const USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+/**
+ * Décode les entités HTML courantes
+ *
+ * @param {string} text - Texte HTML
+ * @returns {string} Texte décodé
+ * @private
+ */
+function decodeEntities(text) {
+    return text
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ');
+}
+
+/**
+ * Classe client pour YIFY Subtitles
+ * Implémente le contrat des sources (voir lib/providers)
+ */
+class YifyClient {
+    /**
+     * Crée une instance du client YIFY
+     */
+    constructor() {
+        this.baseUrl = BASE_URL;
+    }
+
+    /**
+     * Effectue une requête HTTP vers le site YIFY
+     *
+     * @param {string} path - Chemin (ex: /movie-imdb/tt1234567)
+     * @param {Object} [options] - Options
+     * @param {number} [options.timeout] - Timeout en ms
+     * @returns {Promise<Response|null>} Réponse ou null si 404
+     * @throws {RateLimitError} Si rate limité
+     * @private
+     */
+    async _fetch(path, options = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), options.timeout || REQUEST_TIMEOUT);
+
+        try {
+            const response = await fetch(`${this.baseUrl}${path}`, {
+                method: 'GET',
+                headers: {
+                    'User-Agent': USER_AGENT,
+                    'Referer': this.baseUrl
+                },
+                signal: controller.signal
+            });
+
+            if (response.status === 404) {
+                return null;
+            }
+
+            if (response.status === 429) {
+                const retryAfter = response.headers.get('Retry-After');
+                console.error(`[YIFY] ⚠️ Rate limit atteint! Retry-After: ${retryAfter || 'non spécifié'}s`);
+                throw new RateLimitError(retryAfter);
+            }
+
+            if (!response.ok) {
+                throw new Error(`Erreur YIFY: ${response.status}`);
+            }
+
+            return response;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Récupère et parse la liste des sous-titres d'un film
+     *
+     * @param {string} imdbId - ID IMDB (format: tt1234567)
+     * @param {Object} [options] - Options de la requête
+     * @returns {Promise<Array>} Sous-titres { slug, language, release, rating, hi }
+     * @private
+     */
+    async _getListing(imdbId, options = {}) {
+        const response = await this._fetch(`/movie-imdb/${imdbId}`, options);
+
+        if (!response) {
+            return [];
+        }
+
+        return this._parseListing(await response.text());
+    }
+
+    /**
+     * Parse le tableau de sous-titres de la page d'un film
+     *
+     * @param {string} html - Page HTML
+     * @returns {Array} Sous-titres { slug, language, release, rating, hi }
+     * @private
+     */
+    _parseListing(html) {
+        const subtitles = [];
+        const rows = html.split(/<tr[\s>]/i).slice(1);
+
+        for (const row of rows) {
+            const linkMatch = row.match(/<a[^>]+href="\/subtitles\/([a-z0-9-]+)"[^>]*>([\s\S]*?)<\/a>/i);
+            const langMatch = row.match(/<span class="sub-lang">([^<]+)<\/span>/i);
+
+            if (!linkMatch || !langMatch) continue;
+
+            const language = fromEnglishName(decodeEntities(langMatch[1]));
+            if (!language) continue;
+
+            // Le lien contient "<span>subtitle</span> Nom.De.La.Release"
+            const release = decodeEntities(linkMatch[2].replace(/<span[^>]*>[\s\S]*?<\/span>/gi, '').replace(/<[^>]+>/g, '')).trim();
+            const ratingMatch = row.match(/<span class="label[^"]*">\s*(-?\d+)\s*<\/span>/i);
+
+            subtitles.push({
+                slug: linkMatch[1],
+                language,
+                release: release || 'Unknown',
+                rating: ratingMatch ? parseInt(ratingMatch[1], 10) : 0,
+                hi: /hi-subtitle/i.test(row)
+            });
+        }
+
+        return subtitles;
+    }
+
+    /**
+     * Recherche des sous-titres pour un film
+     *
+     * @param {Object} options - Options de recherche
+     * @param {string} options.imdbId - ID IMDB (format: tt1234567)
+     * @param {string} options.type - Type de contenu (seul 'movie' est supporté)
+     * @param {Array<string>} [options.languages] - Codes ISO 639-1 par ordre de priorité (défaut: fr)
+     * @param {string} [options.subtitleMode] - Préférence HI / forcés (lib/subtitle-modes)
+     * @returns {Promise<Array>} Liste des sous-titres trouvés
+     */
+    async searchSubtitles({ imdbId, type, languages = [DEFAULT_LANGUAGE], subtitleMode = 'all' }) {
+        if (type !== 'movie') {
+            return [];
+        }
+
+        console.log(`[YIFY] Recherche sous-titres ${languages.join(',')} pour ${imdbId}`);
+
+        try {
+            const listing = await this._getListing(imdbId);
+
+            const subtitles = listing
+                .filter(sub => languages.includes(sub.language))
+                .filter(sub => matchesSubtitleMode({ hi: sub.hi, forced: isForcedRelease(sub.release) }, subtitleMode))
+                .sort((a, b) => b.rating - a.rating);
+
+            console.log(`[YIFY] ${subtitles.length} sous-titre(s) trouvé(s) pour ${imdbId}`);
+
+            return limitPerLanguage(subtitles, sub => sub.language, MAX_SUBTITLES);
+        } catch (error) {
+            console.error(`[YIFY] Erreur recherche ${imdbId}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Vérifie la disponibilité de sous-titres pour un film (fonctionnalité meta)
+     *
+     * @param {string} imdbId - ID IMDB
+     * @param {string} type - Type ('movie' ou 'series')
+     * @param {Array<string>} languages - Codes ISO 639-1 recherchés
+     * @param {Object} [options] - Options
+     * @param {number} [options.timeout] - Timeout en ms
+     * @returns {Promise<Object>} { available, count, languages: { fr: n } }
+     * @throws {RateLimitError} Si rate limité
+     */
+    async checkAvailability(imdbId, type, languages, options = {}) {
+        if (type !== 'movie') {
+            return { available: false, count: 0, languages: {} };
+        }
+
+        const listing = await this._getListing(imdbId, options);
+        const languageCounts = {};
+        let count = 0;
+
+        for (const sub of listing) {
+            if (!languages.includes(sub.language)) continue;
+            languageCounts[sub.language] = (languageCounts[sub.language] || 0) + 1;
+            count++;
+        }
+
+        return { available: count > 0, count, languages: languageCounts };
+    }
+
+    /**
+     * Télécharge et extrait un sous-titre pour le proxy
+     *
+     * @param {string} slug - Identifiant du sous-titre (segment d'URL du proxy)
+     * @returns {Promise<Object|null>} { content, filename } ou null si introuvable
+     * @throws {RateLimitError} Si rate limité
+     */
+    async resolveDownload(slug) {
+        console.log(`[YIFY] Téléchargement de l'archive ${slug}`);
+
+        const response = await this._fetch(`/subtitle/${slug}.zip`);
+        if (!response) {
+            return null;
+        }
+
+        const buffer = await response.buffer();
+        if (!isZip(buffer)) {
+            console.error(`[YIFY] Réponse inattendue (pas une archive zip) pour ${slug}`);
+            return null;
+        }
+
+        const file = extractSubtitle(buffer);
+        if (!file) {
+            console.error(`[YIFY] Aucun sous-titre dans l'archive ${slug}`);
+            return null;
+        }
+
+        console.log(`[YIFY] Fichier extrait: ${file.name}`);
+        return { content: file.content, filename: file.name };
+    }
+
+    /**
+     * Retourne l'état du client pour /health
+     *
+     * @returns {Object} Statistiques
+     */
+    health() {
+        return { baseUrl: this.baseUrl };
+    }
+
+    /**
+     * Formate les sous-titres YIFY pour Stremio
+     * Retourne des URLs de proxy (archives zip extraites à la volée)
+     *
+     * @param {Array} subtitles - Liste des sous-titres YIFY
+     * @param {string} addonUrl - URL publique de l'addon pour le proxy
+     * @returns {Array} Liste formatée pour Stremio
+     */
+    formatForStremio(subtitles, addonUrl) {
+        const formatted = subtitles.map(sub => {
+            const isHearingImpaired = sub.hi ? ' [HI]' : '';
+
+            return {
+                id: `[YIFY] [★${sub.rating}] ${sub.release}${isHearingImpaired}`,
+                url: `${addonUrl}/proxy/yify/${sub.slug}`,
+                lang: toStremioLang(sub.language),
+                // Métadonnées internes pour le scoring
+                _release: sub.release,
+                _hi: sub.hi,
+                // Solde de votes de la communauté YIFY
+                _community: normalizeSignals({ likes: sub.rating })
+            };
+        });
+
+        console.log(`[YIFY] ${formatted.length} sous-titre(s) formaté(s) pour Stremio (via proxy)`);
+        return formatted;
+    }
+}
+
+/** Nombre maximum de résultats par langue (affiché au démarrage) */
+YifyClient.MAX_SUBTITLES = MAX_SUBTITLES;
+
+module.exports = YifyClient;
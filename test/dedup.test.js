@@ -0,0 +1,80 @@
+/**
+ * Tests de lib/dedup
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeRelease, contentFingerprint, deduplicateSubtitles } = require('../lib/dedup');
+
+const SRT = '1\n00:00:01,000 --> 00:00:02,000\nÇa va ?\n\n2\n00:00:03,000 --> 00:00:04,000\nOui.\n';
+
+test('normalizeRelease: séparateurs et extensions ignorés', () => {
+    assert.equal(normalizeRelease('Movie.2010.1080p.BluRay.x264-GRP.srt'), 'movie.2010.1080p.bluray.x264.grp');
+    assert.equal(normalizeRelease('Movie 2010 1080p BluRay x264 GRP'), 'movie.2010.1080p.bluray.x264.grp');
+    assert.equal(normalizeRelease('fr'), null);
+    assert.equal(normalizeRelease('Unknown'), null);
+});
+
+test('contentFingerprint: indépendante de l\'encodage et du format', () => {
+    const srt = contentFingerprint(Buffer.from(SRT, 'utf-8'), 'a.srt');
+    const cp1252 = contentFingerprint(Buffer.from(SRT.replace(/\n/g, '\r\n'), 'latin1'), 'a.srt');
+    const vtt = contentFingerprint('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\n<i>ça va ?</i>\n\n00:00:03.000 --> 00:00:04.000\nOui\n', 'a.vtt');
+
+    assert.equal(cp1252, srt);
+    assert.equal(vtt, srt);
+});
+
+test('contentFingerprint: deux synchros différentes restent distinctes', () => {
+    const shifted = SRT.replace('00:00:01,000', '00:00:05,000');
+
+    assert.notEqual(contentFingerprint(shifted, 'a.srt'), contentFingerprint(SRT, 'a.srt'));
+});
+
+test('deduplicateSubtitles: même release sur deux sources', () => {
+    const os = { prefix: 'OS' };
+    const subdl = { prefix: 'SubDL' };
+    const subtitles = [
+        { id: '[OS] a', lang: 'fre', _release: 'Movie.2010.1080p.BluRay.x264-GRP' },
+        { id: '[SubDL] b', lang: 'fre', _release: 'Movie 2010 1080p BluRay x264 GRP', _hashMatch: true },
+        { id: '[SubDL] c', lang: 'fre', _release: 'Movie.2010.720p.WEB-DL-OTHER' }
+    ];
+    const info = new Map([
+        ['[OS] a', { source: os, availability: 1 }],
+        ['[SubDL] b', { source: subdl, availability: 2 }],
+        ['[SubDL] c', { source: subdl, availability: 1 }]
+    ]);
+
+    const result = deduplicateSubtitles(subtitles, sub => info.get(sub.id));
+
+    assert.equal(result.length, 2);
+    assert.equal(result[0].id, '[SubDL + OS] b');
+    assert.equal(result[0]._hashMatch, true);
+    assert.equal(result[1].id, '[SubDL] c');
+});
+
+test('deduplicateSubtitles: même release sur une même source conservée deux fois', () => {
+    const source = { prefix: 'OS' };
+    const subtitles = [
+        { id: '[OS] a', lang: 'fre', _release: 'Movie.2010.1080p.BluRay.x264-GRP' },
+        { id: '[OS] b', lang: 'fre', _release: 'Movie.2010.1080p.BluRay.x264-GRP' }
+    ];
+
+    assert.equal(deduplicateSubtitles(subtitles, () => ({ source, availability: 1 })).length, 2);
+});
+
+test('deduplicateSubtitles: regroupement par empreinte', () => {
+    const subtitles = [
+        { id: '[OS] a', lang: 'fre', _release: 'Release.A' },
+        { id: '[YIFY] b', lang: 'fre', _release: 'Release.B' },
+        { id: '[YIFY] c', lang: 'eng', _release: 'Release.C' }
+    ];
+    const describe = sub => ({
+        source: { prefix: sub.id.match(/^\[(\w+)\]/)[1] },
+        availability: 1,
+        fingerprint: 'abc'
+    });
+
+    const result = deduplicateSubtitles(subtitles, describe);
+
+    assert.deepEqual(result.map(sub => sub.id), ['[OS + YIFY] a', '[YIFY] c']);
+});
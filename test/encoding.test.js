@@ -0,0 +1,50 @@
+/**
+ * Tests de lib/encoding
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectEncoding, toUtf8 } = require('../lib/encoding');
+
+test('detectEncoding: UTF-8 valide et BOM', () => {
+    assert.equal(detectEncoding(Buffer.from('Été à Noël', 'utf-8')), 'utf-8');
+    assert.equal(detectEncoding(Buffer.from([0xff, 0xfe, 0x41, 0x00])), 'utf-16le');
+    assert.equal(detectEncoding(Buffer.from([0xfe, 0xff, 0x00, 0x41])), 'utf-16be');
+});
+
+test('toUtf8: Windows-1252 (accents et octets 0x80-0x9F)', () => {
+    // "Été… l’œuvre" : … = 0x85, ’ = 0x92, œ = 0x9C
+    const buffer = Buffer.from([0xc9, 0x74, 0xe9, 0x85, 0x20, 0x6c, 0x92, 0x9c, 0x75, 0x76, 0x72, 0x65]);
+    const { text, encoding } = toUtf8(buffer);
+
+    assert.equal(encoding, 'windows-1252');
+    assert.equal(text, 'Été… l’œuvre');
+});
+
+test('toUtf8: ISO-8859-15 (œ et € sans octet 0x80-0x9F)', () => {
+    // "cœur 5€" : œ = 0xBD, € = 0xA4
+    const buffer = Buffer.from([0x63, 0xbd, 0x75, 0x72, 0x20, 0x35, 0xa4]);
+    const { text, encoding } = toUtf8(buffer);
+
+    assert.equal(encoding, 'iso-8859-15');
+    assert.equal(text, 'cœur 5€');
+});
+
+test('toUtf8: Latin-1 sans octet ambigu lu en Windows-1252', () => {
+    const { text, encoding } = toUtf8(Buffer.from([0x63, 0x61, 0x66, 0xe9]));
+
+    assert.equal(encoding, 'windows-1252');
+    assert.equal(text, 'café');
+});
+
+test('toUtf8: BOM retiré et fins de ligne normalisées', () => {
+    const buffer = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('a\r\nb\rc', 'utf-8')]);
+
+    assert.deepEqual(toUtf8(buffer), { text: 'a\nb\nc', encoding: 'utf-8' });
+});
+
+test('toUtf8: UTF-16LE', () => {
+    const buffer = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('Déjà', 'utf16le')]);
+
+    assert.equal(toUtf8(buffer).text, 'Déjà');
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests de lib/match-score
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReleaseName } = require('../lib/release-parser');
+const { DEFAULT_MATCH_WEIGHTS, loadMatchWeights, matchEpisode, calculateMatchScore } = require('../lib/match-score');
+
+const VIDEO = parseReleaseName('Movie.2010.1080p.BluRay.x264-GRP.mkv');
+
+test('calculateMatchScore: même release', () => {
+    const { score, breakdown } = calculateMatchScore({ _release: 'Movie.2010.1080p.BluRay.x264-GRP' }, VIDEO);
+
+    assert.equal(breakdown.group, DEFAULT_MATCH_WEIGHTS.group);
+    assert.equal(breakdown.resolution, DEFAULT_MATCH_WEIGHTS.resolution);
+    assert.equal(breakdown.source, DEFAULT_MATCH_WEIGHTS.source);
+    assert.equal(breakdown.codec, DEFAULT_MATCH_WEIGHTS.codec);
+    assert.ok(score < DEFAULT_MATCH_WEIGHTS.hash);
+});
+
+test('calculateMatchScore: le hash l\'emporte sur toute correspondance de release', () => {
+    const byName = calculateMatchScore({ _release: 'Movie.2010.1080p.BluRay.x264-GRP' }, VIDEO);
+    const byHash = calculateMatchScore({ _release: 'Other' }, VIDEO, { hashMatch: true });
+
+    assert.equal(byHash.score, DEFAULT_MATCH_WEIGHTS.hash);
+    assert.ok(byHash.score > byName.score);
+});
+
+test('calculateMatchScore: éditions différentes pénalisées', () => {
+    const video = parseReleaseName('Movie.2010.Extended.1080p.BluRay.x264-GRP');
+    const { breakdown } = calculateMatchScore({ _release: 'Movie.2010.Theatrical.1080p.BluRay.x264-GRP' }, video);
+
+    assert.equal(breakdown.editionMismatch, DEFAULT_MATCH_WEIGHTS.editionMismatch);
+    assert.equal(breakdown.edition, undefined);
+});
+
+test('calculateMatchScore: groupe fourni par la source', () => {
+    const { breakdown } = calculateMatchScore({ _release: 'Movie 2010', _group: 'GRP' }, VIDEO);
+
+    assert.equal(breakdown.group, DEFAULT_MATCH_WEIGHTS.group);
+});
+
+test('calculateMatchScore: poids personnalisés', () => {
+    const subtitle = { _release: 'Movie.2010.1080p.BluRay.x264-GRP' };
+    const weights = loadMatchWeights({ group: 0 });
+
+    assert.equal(calculateMatchScore(subtitle, VIDEO, { weights }).breakdown.group, 0);
+    assert.equal(
+        calculateMatchScore(subtitle, VIDEO).score - calculateMatchScore(subtitle, VIDEO, { weights }).score,
+        DEFAULT_MATCH_WEIGHTS.group
+    );
+});
+
+test('loadMatchWeights: valeurs invalides ignorées', t => {
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    assert.deepEqual(loadMatchWeights('{"group": 50, "unknown": 1, "codec": "x"}'), { ...DEFAULT_MATCH_WEIGHTS, group: 50 });
+    assert.deepEqual(loadMatchWeights('pas du json'), DEFAULT_MATCH_WEIGHTS);
+    assert.deepEqual(loadMatchWeights(), DEFAULT_MATCH_WEIGHTS);
+});
+
+test('matchEpisode: saison, épisode, pack et numérotation absolue', () => {
+    const target = { season: 1, episode: 5, absoluteEpisode: 5 };
+    const status = release => matchEpisode({}, parseReleaseName(release), target);
+
+    assert.equal(status('Show.S01E05.720p-GRP'), 'match');
+    assert.equal(status('Show.S01E06.720p-GRP'), 'mismatch');
+    assert.equal(status('Show.S02E05.720p-GRP'), 'mismatch');
+    assert.equal(status('Show.S01.1080p.WEB-DL-GRP'), 'pack');
+    assert.equal(status('[Group] Show - 05 (1080p)'), 'match');
+    assert.equal(status('Show.720p-GRP'), 'unknown');
+    assert.equal(matchEpisode({}, {}, {}), 'unknown');
+});
+
+test('matchEpisode: anime sans saison connue, numéro absolu seul', () => {
+    const target = { season: null, episode: null, absoluteEpisode: 17 };
+    const status = release => matchEpisode({}, parseReleaseName(release), target);
+
+    assert.equal(status('[Group] Show - 17 (1080p)'), 'match');
+    assert.equal(status('[Group] Show - 05 (1080p)'), 'mismatch');
+    assert.equal(status('Show.S01E17.1080p-GRP'), 'unknown');
+    assert.equal(status('Show.S02.1080p-GRP'), 'unknown');
+});
+
+test('matchEpisode: infos de la source prioritaires sur le nom', () => {
+    const info = parseReleaseName('Show.S01E06.720p-GRP');
+
+    assert.equal(matchEpisode({ _season: 1, _episodes: [5] }, info, { season: 1, episode: 5 }), 'match');
+});
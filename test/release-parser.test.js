@@ -0,0 +1,73 @@
+/**
+ * Tests de lib/release-parser
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReleaseName } = require('../lib/release-parser');
+
+test('parseReleaseName: épisodes multiples et tags techniques', () => {
+    const info = parseReleaseName('The.Office.S02E05E06.MULTi.1080p.AMZN.WEB-DL.DDP5.1.H.264-GRP.mkv');
+
+    assert.equal(info.title, 'The Office');
+    assert.equal(info.season, 2);
+    assert.deepEqual(info.episodes, [5, 6]);
+    assert.deepEqual(info.languageTags, ['MULTi']);
+    assert.equal(info.resolution, '1080p');
+    assert.equal(info.streamingService, 'AMZN');
+    assert.equal(info.source, 'WEB-DL');
+    assert.equal(info.codec, 'x264');
+    assert.equal(info.group, 'GRP');
+});
+
+test('parseReleaseName: plage d\'épisodes', () => {
+    assert.deepEqual(parseReleaseName('Show.S01E02-E04.720p.HDTV.x264-GRP').episodes, [2, 3, 4]);
+});
+
+test('parseReleaseName: pack de saison', () => {
+    const info = parseReleaseName('Show.S01-S03.1080p.BluRay.x265-GRP');
+
+    assert.equal(info.seasonPack, true);
+    assert.deepEqual(info.seasons, [1, 2, 3]);
+    assert.deepEqual(info.episodes, []);
+});
+
+test('parseReleaseName: numérotation absolue des releases anime', () => {
+    const info = parseReleaseName('[SubsPlease] Frieren - 05 (1080p).mkv');
+
+    assert.equal(info.season, null);
+    assert.deepEqual(info.episodes, [5]);
+    assert.equal(info.group, 'SUBSPLEASE');
+});
+
+test('parseReleaseName: année dans le titre', () => {
+    const info = parseReleaseName('Blade.Runner.2049.2017.1080p.BluRay.x264-GRP');
+
+    assert.equal(info.title, 'Blade Runner 2049');
+    assert.equal(info.year, '2017');
+});
+
+test('parseReleaseName: édition, remux et HDR', () => {
+    const info = parseReleaseName('Movie.2010.Extended.2160p.REMUX.DV.HDR10.HEVC-GRP');
+
+    assert.equal(info.edition, 'Extended');
+    assert.equal(info.remux, true);
+    assert.equal(info.source, 'BluRay');
+    assert.deepEqual(info.hdr, ['DV', 'HDR10']);
+    assert.equal(info.codec, 'x265');
+});
+
+test('parseReleaseName: frame rate seulement s\'il est explicite', () => {
+    assert.equal(parseReleaseName('Film.2020.1080p.WEB-DL.x264-GRP.mkv').fps, null);
+    assert.equal(parseReleaseName('Film.2020.PAL.DVDRip.XviD-GRP').fps, 25);
+    assert.equal(parseReleaseName('Film.2020.23.976fps.BluRay-GRP').fps, 23.976);
+});
+
+test('parseReleaseName: suffixe qui n\'est pas un groupe', () => {
+    assert.equal(parseReleaseName('Movie.2010.1080p.WEB-DL').group, null);
+});
+
+test('parseReleaseName: nom vide', () => {
+    assert.deepEqual(parseReleaseName(''), {});
+    assert.deepEqual(parseReleaseName(null), {});
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests de lib/subtitle-formats
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    detectFormat,
+    detectFps,
+    isFpsMismatch,
+    retimeCues,
+    parseSubtitle,
+    toSrt,
+    toVtt,
+    convertSubtitle
+} = require('../lib/subtitle-formats');
+
+const SRT = '1\n00:00:01,500 --> 00:00:03,000\nBonjour\n\n2\n01:02:03,004 --> 01:02:05,000\n<i>Au revoir</i>\n';
+
+test('detectFormat: contenu puis extension', () => {
+    assert.equal(detectFormat(SRT), 'srt');
+    assert.equal(detectFormat('WEBVTT\n\n00:01.000 --> 00:02.000\nSalut\n'), 'vtt');
+    assert.equal(detectFormat('[Script Info]\nScriptType: v4.00+\n'), 'ass');
+    assert.equal(detectFormat('{10}{50}Salut\n'), 'microdvd');
+    assert.equal(detectFormat('<SAMI><BODY></BODY></SAMI>'), 'smi');
+    assert.equal(detectFormat('contenu inconnu', 'film.ssa'), 'ass');
+    assert.equal(detectFormat('contenu inconnu', 'film.txt'), null);
+});
+
+test('parseSubtitle: timestamps SRT en millisecondes', () => {
+    const cues = parseSubtitle(SRT, 'srt');
+
+    assert.equal(cues.length, 2);
+    assert.equal(cues[0].start, 1500);
+    assert.equal(cues[0].end, 3000);
+    assert.equal(cues[0].text, 'Bonjour');
+    assert.equal(cues[1].start, 3723004);
+    assert.equal(cues[1].text, '<i>Au revoir</i>');
+});
+
+test('parseSubtitle: timestamps WebVTT sans heures', () => {
+    const cues = parseSubtitle('WEBVTT\n\n01:02.5 --> 01:04.250\nSalut\n', 'vtt');
+
+    assert.equal(cues[0].start, 62500);
+    assert.equal(cues[0].end, 64250);
+});
+
+test('parseSubtitle: MicroDVD avec frame rate déclaré par le fichier', () => {
+    const cues = parseSubtitle('{1}{1}25\n{25}{50}Salut|{y:i}ligne\n', 'microdvd', { fps: 23.976 });
+
+    assert.equal(cues.length, 1);
+    assert.equal(cues[0].start, 1000);
+    assert.equal(cues[0].end, 2000);
+    assert.equal(cues[0].text, 'Salut\n<i>ligne</i>');
+});
+
+test('toSrt / toVtt: format des timestamps', () => {
+    const cues = [{ start: 3723004, end: 3725000, text: 'A & <b>B</b>', position: null }];
+
+    assert.equal(toSrt(cues), '1\n01:02:03,004 --> 01:02:05,000\nA & <b>B</b>\n');
+    assert.equal(toVtt(cues), 'WEBVTT\n\n01:02:03.004 --> 01:02:05.000\nA &amp; <b>B</b>\n');
+});
+
+test('convertSubtitle: SRT vers WebVTT', () => {
+    const result = convertSubtitle(SRT, { target: 'vtt' });
+
+    assert.equal(result.converted, true);
+    assert.equal(result.from, 'srt');
+    assert.match(result.text, /^WEBVTT\n\n00:00:01\.500 --> 00:00:03\.000\nBonjour\n/);
+});
+
+test('convertSubtitle: SRT demandé en SRT servi tel quel', () => {
+    const result = convertSubtitle(SRT, { target: 'srt' });
+
+    assert.equal(result.converted, false);
+    assert.equal(result.text, SRT);
+});
+
+test('convertSubtitle: décalage appliqué, cues avant le début supprimées', () => {
+    const cues = parseSubtitle(convertSubtitle(SRT, { shift: -2000 }).text, 'srt');
+
+    assert.equal(cues.length, 2);
+    assert.equal(cues[0].start, 0);
+    assert.equal(cues[0].end, 1000);
+    assert.equal(retimeCues([{ start: 0, end: 1000 }], { shift: -1500 }).length, 0);
+});
+
+test('retimeCues: conversion de frame rate', () => {
+    const [cue] = retimeCues([{ start: 1000, end: 2000 }], { scale: 25 / 23.976 });
+
+    assert.ok(Math.abs(cue.start - 1042.7) < 0.1);
+});
+
+test('detectFps / isFpsMismatch', () => {
+    assert.equal(detectFps('Film.25fps'), 25);
+    assert.equal(detectFps('Film 23,976 fps'), 23.976);
+    assert.equal(detectFps('Film.NTSC.DVD'), 29.97);
+    assert.equal(detectFps('Film.1080p'), null);
+    assert.equal(isFpsMismatch(25, 23.976), true);
+    assert.equal(isFpsMismatch(23.976, 23.976), false);
+    assert.equal(isFpsMismatch(null, 25), false);
+});